@@ -5,15 +5,111 @@
 // CONFIGURATION & SETUP
 // ============================================================================
 
-figma.showUI(__html__, { width: 750, height: 500 });
+// Menu and relaunch commands (see manifest.json). Without a command, or for
+// commands that need the link manager, the UI opens as usual; the others run
+// with a hidden UI and close the plugin when done.
+const COMMAND_OPEN_MANAGER = 'open-manager';
+const COMMAND_ADD_LINK = 'add-link';
+const COMMAND_EDIT_LINK = 'edit-link';
+const COMMAND_REMOVE_LINK = 'remove-link';
+const COMMAND_SCAN_DOCUMENT = 'scan-document';
+const COMMAND_COPY_LINK = 'copy-link';
+const COMMAND_PASTE_LINK = 'paste-link';
+const HEADLESS_COMMANDS = [COMMAND_REMOVE_LINK, COMMAND_SCAN_DOCUMENT, COMMAND_COPY_LINK, COMMAND_PASTE_LINK];
+const isHeadlessCommand = HEADLESS_COMMANDS.includes(figma.command);
 
-const STORAGE_KEY_PREFIX = 'anylink_links_';
+// "Add link to selection" can also be run from quick actions with a URL parameter,
+// so its window only opens once the 'run' event shows no URL was given
+const isParameterCommand = figma.command === COMMAND_ADD_LINK;
+
+// In Dev Mode's code panel the plugin only answers codegen requests (see DEV MODE CODEGEN)
+const isCodegenMode = figma.editorType === 'dev' && figma.mode === 'codegen';
+
+// Open the plugin window (hidden for commands that run without the link manager)
+function showPluginUI(visible) {
+  figma.showUI(__html__, { width: 750, height: 500, visible: visible });
+}
+
+if (!isParameterCommand && !isCodegenMode) {
+  showPluginUI(!isHeadlessCommand);
+}
+
+// How the hidden text overlay is attached to the linked object:
+//   group   - wrap the object and overlay in an "AnyLink: ..." group (default)
+//   overlay - insert the overlay as an absolutely positioned sibling right above
+//             the object, leaving the layer hierarchy and auto layout untouched
+const PLACEMENT_GROUP = 'group';
+const PLACEMENT_OVERLAY = 'overlay';
+// Stickies, shapes with text and connectors carry the hyperlink in their own text (see EDITOR ADAPTERS)
+const PLACEMENT_NATIVE = 'native';
+const PLACEMENT_STORAGE_KEY = 'anylink_placement';
+let placementStrategy = PLACEMENT_GROUP;
+
+// What happens to the link of a duplicated or pasted AnyLink object:
+//   keep  - the copy is registered as a separate link to the same target (default)
+//   clear - the copy's overlay is removed, leaving an unlinked copy
+const DUPLICATE_KEEP = 'keep';
+const DUPLICATE_CLEAR = 'clear';
+const DUPLICATE_RULE_STORAGE_KEY = 'anylink_duplicate_rule';
+let duplicateRule = DUPLICATE_KEEP;
+
+// URL schemes accepted for external links (a per-user preference; http and
+// https are always allowed). Input without a scheme gets https://
+const DEFAULT_ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'tel', 'figma', 'slack'];
+const HOST_SCHEMES = ['http', 'https'];
+const ALLOWED_SCHEMES_STORAGE_KEY = 'anylink_allowed_schemes';
+let allowedSchemes = DEFAULT_ALLOWED_SCHEMES.slice();
+
+// Name prefix of AnyLink groups and overlays
+const ANYLINK_NAME_PREFIX = 'AnyLink: ';
+
+// Plugin data keys: the link registry on figma.root, and a per-link record
+// on each AnyLink group and text node
+const LINKS_DATA_KEY = 'links';
+const LINK_DATA_KEY = 'link';
+
+// Change history of each link, kept on figma.root under a key of its own per original node ID
+// (separate from the registry so it survives the link being removed). Only the newest
+// entries are kept; earlier versions stored every link's history in one LINK_HISTORY_DATA_KEY
+const LINK_HISTORY_DATA_KEY = 'linkHistory';
+const LINK_HISTORY_KEY_PREFIX = 'linkHistory:';
+const MAX_LINK_HISTORY_ENTRIES = 50;
+const HISTORY_CREATED = 'created';
+const HISTORY_UPDATED = 'updated';
+const HISTORY_REVERTED = 'reverted';
+const HISTORY_REMOVED = 'removed';
+const HISTORY_DUPLICATED = 'duplicated';
+// An existing link found on the canvas and registered, rather than created by the user
+const HISTORY_DETECTED = 'detected';
+
+// Every AnyLink group and text overlay is tagged with a marker recording its
+// role, the original node ID and the schema version. Overlays created before
+// markers existed are migrated page by page as pages are scanned; each page
+// records the schema version it was migrated to.
+const MARKER_DATA_KEY = 'marker';
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const MARKER_SCHEMA_VERSION = 1;
+const MARKER_ROLE_OVERLAY = 'overlay';
+const MARKER_ROLE_GROUP = 'group';
+// Overlays covering one region of an object (image-map style), registered under their own ID
+const MARKER_ROLE_REGION = 'region';
+// Objects linked through a hyperlink on their own text, without an overlay
+const MARKER_ROLE_NATIVE = 'native';
+
+// clientStorage key prefix used by earlier versions (migrated on startup)
+const LEGACY_STORAGE_KEY_PREFIX = 'anylink_links_';
 
 // Track which pages have been scanned (reset when file changes)
 let scannedPages = new Set();
 let lastFileHash = null;
 let lastCurrentPageId = null;
 
+// Number of nodes to visit before yielding to the editor during a scan
+const SCAN_CHUNK_SIZE = 200;
+
+// State of the running "Scan entire document" operation (null when idle)
+let documentScan = null;
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -50,9 +146,14 @@ function getFileId() {
   return figma.fileKey || 'local_' + getFileHash();
 }
 
-// Get storage key for current file
-function getStorageKey() {
-  return STORAGE_KEY_PREFIX + getFileId();
+// Get the legacy clientStorage key for current file
+function getLegacyStorageKey() {
+  return LEGACY_STORAGE_KEY_PREFIX + getFileId();
+}
+
+// Let the editor process pending work (used between scan chunks)
+function yieldToEditor() {
+  return new Promise(resolve => setTimeout(resolve, 0));
 }
 
 // Helper function to get the page from a node
@@ -67,30 +168,104 @@ function getPageFromNode(node) {
   return null;
 }
 
-// Helper function to find a node by ID recursively
-function findNodeById(node, targetId) {
-  if (node.id === targetId) {
-    return node;
+// Check a host name: localhost, an IPv4/IPv6 address, or a domain with a top-level domain
+function isValidHost(host) {
+  if (host === 'localhost' || /^\[[0-9a-f:.]+\]$/i.test(host)) {
+    return true;
+  }
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host)) {
+    return host.split('.').every(part => Number(part) <= 255);
+  }
+  // Intranet names ("intranet", "wiki-alt") have a single label; underscores appear in
+  // internal hostnames even though DNS doesn't allow them
+  const labels = host.split('.');
+  return !/^\d+$/.test(labels[labels.length - 1]) &&
+    labels.every(label => label.length <= 63 &&
+      /^[a-z0-9_\u00a1-\uffff]([a-z0-9_\u00a1-\uffff-]*[a-z0-9_\u00a1-\uffff])?$/i.test(label));
+}
+
+// Check the recipients of a mailto: link ("a@x.com" or a list such as "a@x.com,b@y.com")
+function isValidMailtoRecipients(recipients) {
+  return recipients.split(/,|%2C/i).every(address => /^[^@/?,]+@[^@/?,]+$/.test(address));
+}
+
+// Validate the part of an http(s) URL after "scheme://"
+function parseHostUrl(scheme, remainder) {
+  const authority = remainder.split(/[/?#]/)[0];
+  const hostAndPort = authority.slice(authority.lastIndexOf('@') + 1);
+  const match = hostAndPort.match(/^(\[[^\]]*\]|[^:]*)(?::(\d+))?$/);
+  if (!match || !isValidHost(match[1].toLowerCase())) {
+    return { url: null, error: `Invalid host "${hostAndPort}"` };
+  }
+  return { url: `${scheme}://${remainder}`, error: null };
+}
+
+// Parse and validate a URL entered by the user
+// Returns { url, error }: the normalized URL, or null and a message explaining the problem.
+// Input without a scheme gets https://; other schemes must be in the allowed list.
+function parseUrl(input) {
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (text.length === 0) {
+    return { url: null, error: 'Enter a URL' };
+  }
+  if (/\s/.test(text)) {
+    return { url: null, error: 'URLs cannot contain spaces' };
   }
   
-  if ('children' in node) {
-    for (const child of node.children) {
-      const found = findNodeById(child, targetId);
-      if (found) {
-        return found;
-      }
-    }
+  // "localhost:3000/path" has a port, not a scheme
+  const match = text.match(/^([a-z][a-z0-9+.-]*):(.*)$/i);
+  if (!match || /^\d+([/?#]|$)/.test(match[2])) {
+    return parseHostUrl('https', text);
   }
   
-  return null;
+  const scheme = match[1].toLowerCase();
+  const rest = match[2];
+  if (!allowedSchemes.includes(scheme)) {
+    return { url: null, error: `Unsupported scheme "${scheme}:". Allowed: ${allowedSchemes.map(name => name + ':').join(', ')}` };
+  }
+  if (HOST_SCHEMES.includes(scheme)) {
+    if (!rest.startsWith('//')) {
+      return { url: null, error: `Expected "${scheme}://" followed by a host` };
+    }
+    return parseHostUrl(scheme, rest.slice(2));
+  }
+  if (rest.replace(/^\/\//, '').length === 0) {
+    return { url: null, error: `Nothing after "${scheme}:"` };
+  }
+  if (scheme === 'mailto' && !isValidMailtoRecipients(rest.split('?')[0])) {
+    return { url: null, error: 'Invalid email address' };
+  }
+  if (scheme === 'tel' && !/^\+?[0-9().-]+$/.test(rest)) {
+    return { url: null, error: 'Invalid phone number' };
+  }
+  return { url: `${scheme}:${rest}`, error: null };
+}
+
+// Validate a URL entered by the user and make sure it has a scheme
+// Returns the normalized URL, or null if the input is empty or invalid
+function normalizeUrl(url) {
+  return parseUrl(url).url;
+}
+
+// Send the result of validating a URL field to the UI (inline feedback while typing)
+function validateUrlInput(input, field) {
+  const result = parseUrl(input);
+  figma.ui.postMessage({
+    type: 'url-validation',
+    field: field,
+    input: input,
+    url: result.url,
+    error: result.error
+  });
 }
 
-// Get URL from text node
-function getUrlFromTextNode(textNode) {
+// Get hyperlink target from text node: { type: 'URL', value: url } for external
+// links, { type: 'NODE', value: nodeId } for links to a node or page in this file
+function getHyperlinkFromTextNode(textNode) {
   try {
-    const hyperlink = textNode.getRangeHyperlink(0, 1);
-    if (hyperlink && hyperlink.type === 'URL') {
-      return hyperlink.value;
+    const hyperlink = getHyperlinkText(textNode).getRangeHyperlink(0, 1);
+    if (hyperlink && (hyperlink.type === 'URL' || hyperlink.type === 'NODE')) {
+      return { type: hyperlink.type, value: hyperlink.value };
     }
   } catch (e) {
     // Couldn't read hyperlink
@@ -98,35 +273,149 @@ function getUrlFromTextNode(textNode) {
   return null;
 }
 
+// Get hyperlink target from a stored link record (records without a targetType are URL links)
+function getHyperlinkFromRecord(linkData) {
+  if (linkData.targetType === 'NODE') {
+    return { type: 'NODE', value: linkData.targetNodeId };
+  }
+  return { type: 'URL', value: linkData.url };
+}
+
+// Link record fields describing a hyperlink target
+function getRecordFieldsFromHyperlink(hyperlink) {
+  return {
+    targetType: hyperlink.type,
+    url: hyperlink.type === 'URL' ? hyperlink.value : null,
+    targetNodeId: hyperlink.type === 'NODE' ? hyperlink.value : null
+  };
+}
+
 // ============================================================================
 // STORAGE OPERATIONS
 // ============================================================================
 
-// Load links from clientStorage for current file
-async function loadLinksFromStorage() {
+// The link registry lives in the document itself (plugin data on figma.root),
+// so everyone who opens the file sees the same links. Each AnyLink group and
+// text node also carries its own link record, so the metadata travels with
+// the objects when they are copied or the registry needs to be rebuilt.
+
+// Read a link record stored as plugin data on a node
+function getLinkPluginData(node) {
   try {
-    const storageKey = getStorageKey();
-    const links = await figma.clientStorage.getAsync(storageKey);
-    return links || {};
-  } catch (error) {
-    console.error('Error loading links from storage:', error);
-    return {};
+    const data = node.getPluginData(LINK_DATA_KEY);
+    return data ? JSON.parse(data) : null;
+  } catch (e) {
+    // Missing or malformed plugin data
+    return null;
+  }
+}
+
+// Write a link record as plugin data on a node (or clear it when record is null)
+function setLinkPluginData(node, record) {
+  try {
+    node.setPluginData(LINK_DATA_KEY, record ? JSON.stringify(record) : '');
+  } catch (e) {
+    // Node might have been removed or the file is read-only
+    console.log('Could not write link data to node:', e.message);
+  }
+}
+
+// In-memory index of the registry, so lookups don't parse the registry on every call:
+//   data  - the stored JSON the index was built from
+//   links - the registry records ({ nodeId: record }), frozen so callers can't change them
+let linkIndex = null;
+
+// Reverse lookups (overlay or group ID -> linked node ID), one per registry object
+const linkOwnerLookups = new WeakMap();
+
+// Rebuild the index from a freshly parsed registry (the index takes ownership of the records)
+function buildLinkIndex(data, links) {
+  for (const record of Object.values(links)) {
+    freezeLinkRecord(record);
+  }
+  linkIndex = { data: data, links: links };
+}
+
+// Freeze a record together with the objects it holds (such as the region bounds)
+function freezeLinkRecord(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(freezeLinkRecord);
+    Object.freeze(value);
+  }
+}
+
+// Get the index, reloading it when the stored registry changed behind our back (undo,
+// collaborators, another run of the plugin). The records are frozen; replace them instead
+async function getLinkIndex() {
+  const data = figma.root.getPluginData(LINKS_DATA_KEY);
+  if (!linkIndex || linkIndex.data !== data) {
+    const startedAt = Date.now();
+    try {
+      buildLinkIndex(data, data ? JSON.parse(data) : {});
+    } catch (error) {
+      console.error('Error loading links from document:', error);
+      buildLinkIndex(data, {});
+    }
+    console.log(`Link index: loaded ${Object.keys(linkIndex.links).length} links in ${Date.now() - startedAt} ms`);
+  }
+  return linkIndex;
+}
+
+// Find the linked node in `links` an overlay or AnyLink group belongs to, or null.
+// Overlays win over groups; in a group the first link registered in it wins
+function findLinkOwnerId(links, id) {
+  let lookup = linkOwnerLookups.get(links);
+  if (!lookup) {
+    lookup = { overlayIds: new Map(), groupIds: new Map() };
+    for (const [nodeId, linkData] of Object.entries(links)) {
+      if (!linkData) continue;
+      if (linkData.textNodeId && !lookup.overlayIds.has(linkData.textNodeId)) {
+        lookup.overlayIds.set(linkData.textNodeId, nodeId);
+      }
+      if (linkData.groupId && !lookup.groupIds.has(linkData.groupId)) {
+        lookup.groupIds.set(linkData.groupId, nodeId);
+      }
+    }
+    linkOwnerLookups.set(links, lookup);
+  }
+  
+  // The lookup is built once per object, so check the hit against the record
+  const ownerId = lookup.overlayIds.get(id) || lookup.groupIds.get(id);
+  const record = ownerId && links[ownerId];
+  if (record && (record.textNodeId === id || record.groupId === id)) {
+    return ownerId;
   }
+  return null;
+}
+
+// Load links from the document for current file (a copy the caller may add, replace or
+// delete records in and save; the records themselves are frozen)
+async function loadLinksFromStorage() {
+  const index = await getLinkIndex();
+  return Object.assign({}, index.links);
 }
 
-// Save links to clientStorage for current file
+// Save links to the document for current file
 async function saveLinksToStorage(links) {
   try {
-    const storageKey = getStorageKey();
-    await figma.clientStorage.setAsync(storageKey, links);
+    const data = JSON.stringify(links);
+    figma.root.setPluginData(LINKS_DATA_KEY, data);
+    // Index our own parse, so the caller's objects are never shared with it
+    buildLinkIndex(data, JSON.parse(data));
   } catch (error) {
-    console.error('Error saving links to storage:', error);
+    console.error('Error saving links to document:', error);
   }
 }
 
-// Add or update a link in storage
-async function saveLinkToStorage(nodeId, nodeName, textNodeId, groupId, url) {
+// Add or update a link in storage, recording a history entry when the target changes
+// Pass { refresh: false } when saving many links in a batch and refresh once at the end,
+// { action } to record something other than "created" or "updated" ({ history: false }
+// when the caller records it), { region: { regionOf, bounds, name } } for a region
+// overlay and { duplicateOf } for a copy of another link (both kept on later updates)
+async function saveLinkToStorage(nodeId, nodeName, textNodeId, groupId, hyperlink, options = {}) {
+  const { refresh = true, action = null, region = null, history = true, duplicateOf = null } = options;
   const links = await loadLinksFromStorage();
+  const previous = links[nodeId] || null;
   
   // Get page info from node if provided, otherwise use current page
   let pageId = null;
@@ -147,19 +436,166 @@ async function saveLinkToStorage(nodeId, nodeName, textNodeId, groupId, url) {
     }
   }
   
-  links[nodeId] = {
-    url: url,
+  const record = Object.assign(getRecordFieldsFromHyperlink(hyperlink), {
     nodeName: nodeName,
     textNodeId: textNodeId,
     groupId: groupId,
-    fileId: getFileHash(),
+    placement: textNodeId === nodeId ? PLACEMENT_NATIVE : groupId ? PLACEMENT_GROUP : PLACEMENT_OVERLAY,
     fileName: figma.root.name,
     pageId: pageId,
     pageName: pageName,
     timestamp: Date.now()
-  };
+  });
+  if (region) {
+    Object.assign(record, { regionOf: region.regionOf, region: region.bounds, regionName: region.name });
+  } else if (previous && previous.regionOf) {
+    Object.assign(record, { regionOf: previous.regionOf, region: previous.region, regionName: previous.regionName });
+  }
+  if (duplicateOf || (previous && previous.duplicateOf)) {
+    record.duplicateOf = duplicateOf || previous.duplicateOf;
+  }
+  // Instances overriding the link they inherit from their main component
+  const componentId = await getInheritedComponentId(node, textNodeId);
+  if (componentId) {
+    record.componentId = componentId;
+  }
+  links[nodeId] = record;
   await saveLinksToStorage(links);
-  await refreshLinksList();
+  await writeLinkRecordToNodes(nodeId, record);
+  
+  const targetChanged = !previous || (previous.targetType || 'URL') !== record.targetType ||
+    previous.url !== record.url || (previous.targetNodeId || null) !== record.targetNodeId;
+  if (targetChanged && history) {
+    await appendLinkHistory(nodeId, action || (previous ? HISTORY_UPDATED : HISTORY_CREATED), previous, record);
+  }
+  
+  if (refresh) {
+    await refreshLinksList();
+  }
+}
+
+// Split the history kept in one value by earlier versions into a key per link
+function migrateLinkHistory() {
+  const data = figma.root.getPluginData(LINK_HISTORY_DATA_KEY);
+  if (!data) {
+    return;
+  }
+  try {
+    for (const [nodeId, entries] of Object.entries(JSON.parse(data))) {
+      if (Array.isArray(entries) && entries.length > 0 && !figma.root.getPluginData(LINK_HISTORY_KEY_PREFIX + nodeId)) {
+        figma.root.setPluginData(LINK_HISTORY_KEY_PREFIX + nodeId, JSON.stringify(entries.slice(-MAX_LINK_HISTORY_ENTRIES)));
+      }
+    }
+    figma.root.setPluginData(LINK_HISTORY_DATA_KEY, '');
+  } catch (error) {
+    console.error('Error migrating link history:', error);
+  }
+}
+
+// Load the change history of one link, oldest entry first
+function loadLinkHistory(nodeId) {
+  migrateLinkHistory();
+  try {
+    const data = figma.root.getPluginData(LINK_HISTORY_KEY_PREFIX + nodeId);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error loading link history:', error);
+    return [];
+  }
+}
+
+// Append an entry to a link's history: what it pointed to before and after, when and by whom
+// (dropping the oldest entries beyond MAX_LINK_HISTORY_ENTRIES)
+async function appendLinkHistory(nodeId, action, previous, record) {
+  const entries = loadLinkHistory(nodeId);
+  entries.push({
+    action: action,
+    previousTargetType: previous ? previous.targetType || 'URL' : null,
+    previousUrl: previous ? previous.url || null : null,
+    previousTargetNodeId: previous ? previous.targetNodeId || null : null,
+    targetType: record ? record.targetType : null,
+    url: record ? record.url : null,
+    targetNodeId: record ? record.targetNodeId : null,
+    timestamp: Date.now(),
+    userName: figma.currentUser ? figma.currentUser.name : null
+  });
+  try {
+    figma.root.setPluginData(LINK_HISTORY_KEY_PREFIX + nodeId, JSON.stringify(entries.slice(-MAX_LINK_HISTORY_ENTRIES)));
+  } catch (error) {
+    console.error('Error saving link history:', error);
+  }
+}
+
+// Store a copy of the link record on the AnyLink group and text node,
+// and make sure both are tagged with markers
+async function writeLinkRecordToNodes(nodeId, record) {
+  const nodeRecord = Object.assign({ nodeId: nodeId }, record);
+  const textNode = record.textNodeId ? await figma.getNodeByIdAsync(record.textNodeId) : null;
+  const group = record.groupId ? await figma.getNodeByIdAsync(record.groupId) : null;
+  
+  // Region overlays carry their own record; the group belongs to the object's main link
+  if (record.regionOf) {
+    if (textNode) {
+      setLinkPluginData(textNode, nodeRecord);
+      setAnyLinkMarker(textNode, MARKER_ROLE_REGION, record.regionOf);
+    }
+    if (group) {
+      setAnyLinkMarker(group, MARKER_ROLE_GROUP, record.regionOf);
+    }
+    return;
+  }
+  
+  // Native links keep everything on the object itself
+  if (record.placement === PLACEMENT_NATIVE) {
+    if (textNode) {
+      setLinkPluginData(textNode, nodeRecord);
+      setAnyLinkMarker(textNode, MARKER_ROLE_NATIVE, nodeId);
+      setLinkRelaunchData(textNode, record);
+    }
+    return;
+  }
+  
+  // The overlay of an instance belongs to the main component; the record goes on the instance
+  if (record.componentId) {
+    const instance = await figma.getNodeByIdAsync(nodeId);
+    if (instance) {
+      setLinkPluginData(instance, nodeRecord);
+      setLinkRelaunchData(instance, record);
+    }
+    return;
+  }
+  
+  for (const node of [textNode, group]) {
+    if (node) {
+      setLinkPluginData(node, nodeRecord);
+    }
+  }
+  markLinkNodes(nodeId, textNode, group);
+  
+  // Relaunch buttons go on the group, or on the object itself when it isn't grouped
+  const relaunchNode = group || (textNode ? await figma.getNodeByIdAsync(nodeId) : null);
+  if (relaunchNode) {
+    setLinkRelaunchData(relaunchNode, record);
+  }
+}
+
+// Show "Edit link" and "Open link manager" in the properties panel for a linked
+// object (or remove them when record is null)
+function setLinkRelaunchData(node, record) {
+  try {
+    if (!record) {
+      node.setRelaunchData({});
+      return;
+    }
+    const target = record.targetType === 'NODE' ? 'Internal link' : record.url || '';
+    node.setRelaunchData({
+      [COMMAND_EDIT_LINK]: target,
+      [COMMAND_OPEN_MANAGER]: ''
+    });
+  } catch (e) {
+    // Node might have been removed or the file is read-only
+    console.log('Could not set relaunch data:', e.message);
+  }
 }
 
 // Remove a link from storage
@@ -170,29 +606,156 @@ async function removeLinkFromStorage(nodeId) {
   await refreshLinksList();
 }
 
+// One-time migration of link records kept in clientStorage by earlier versions.
+// clientStorage is local to each user, so every user migrates their own records
+// once; the local copy is deleted afterwards.
+async function migrateClientStorageLinks() {
+  const storageKey = getLegacyStorageKey();
+  let legacyLinks = null;
+  try {
+    legacyLinks = await figma.clientStorage.getAsync(storageKey);
+  } catch (error) {
+    console.error('Error reading legacy links from clientStorage:', error);
+    return;
+  }
+  if (!legacyLinks || Object.keys(legacyLinks).length === 0) {
+    return;
+  }
+  
+  const links = await loadLinksFromStorage();
+  let migratedCount = 0;
+  
+  for (const [nodeId, linkData] of Object.entries(legacyLinks)) {
+    // Records already in the document win; skip records for objects that no longer exist
+    if (!linkData || links[nodeId]) continue;
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node) continue;
+    
+    const record = {
+      targetType: 'URL',
+      url: linkData.url,
+      targetNodeId: null,
+      nodeName: linkData.nodeName,
+      textNodeId: linkData.textNodeId,
+      groupId: linkData.groupId || null,
+      placement: PLACEMENT_GROUP,
+      fileName: figma.root.name,
+      pageId: linkData.pageId || null,
+      pageName: linkData.pageName || null,
+      timestamp: linkData.timestamp || Date.now()
+    };
+    links[nodeId] = record;
+    await writeLinkRecordToNodes(nodeId, record);
+    migratedCount++;
+  }
+  
+  if (migratedCount > 0) {
+    await saveLinksToStorage(links);
+    console.log(`Migrated ${migratedCount} link(s) from clientStorage to the document`);
+  }
+  
+  try {
+    await figma.clientStorage.deleteAsync(storageKey);
+  } catch (error) {
+    console.error('Error removing legacy links from clientStorage:', error);
+  }
+}
+
+// Layer properties shown in the links list besides the registry (names of objects, targets
+// and slides, the slide an object sits on, whether an instance hides its inherited link)
+const LINKS_LIST_PROPERTIES = ['name', 'parent', 'visible', 'hyperlink'];
+
+// The registry the links list was last built from, and whether a change on the canvas
+// may have made the list stale since
+let linksListData = null;
+let linksListStale = true;
+
+// Note a change on the canvas that can alter the links list without touching the registry
+function markLinksListStale(change) {
+  if (change.type !== 'PROPERTY_CHANGE' ||
+      change.properties.some(property => LINKS_LIST_PROPERTIES.includes(property)) ||
+      (change.node && !change.node.removed && (change.node.type === 'INSTANCE' || isInsideInstance(change.node)))) {
+    linksListStale = true;
+  }
+}
+
 // Refresh and send links list to UI
-async function refreshLinksList() {
+// The list is only rebuilt when the registry or the layers it shows changed, as the UI asks
+// for it every few seconds; pass { force: true } to rebuild it anyway
+async function refreshLinksList(options = {}) {
+  const { force = false } = options;
+  const { data } = await getLinkIndex();
+  if (!force && !linksListStale && data === linksListData) {
+    return;
+  }
+  linksListData = data;
+  linksListStale = false;
+  
   const links = await loadLinksFromStorage();
-  const currentFileHash = getFileHash();
   
-  // Filter links to only show those from the current file
-  // Also filter out legacy links that don't have fileId
-  const linksArray = Object.entries(links)
-    .filter(([nodeId, linkData]) => linkData && linkData.fileId === currentFileHash)
-    .map(([nodeId, linkData]) => ({
+  // Slides and Buzz list links per slide or asset rather than per page
+  const slideLabels = getSlideLabels();
+  
+  // The registry is stored in the document, so every record belongs to this file
+  const linksArray = [];
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    if (!linkData) continue;
+    
+    // Internal links show the name and page of the node they point to
+    const targetType = linkData.targetType || 'URL';
+    const target = targetType === 'NODE' ? await describeLinkTarget(linkData.targetNodeId) : null;
+    
+    // Linked main components list their instances too; instances with a record of
+    // their own have overridden the link or opted out of it
+    const node = await figma.getNodeByIdAsync(nodeId);
+    let inheritance = null;
+    if (linkData.componentId && node) {
+      const inherited = await getInstanceLinkOverlay(node, links);
+      inheritance = inherited ? getInstanceLinkState(inherited.overlay, inherited.record) : null;
+    } else if (node && node.type === 'COMPONENT' && getContainedOverlay(node)) {
+      const instanceRows = await getInheritedInstanceRows(node, linkData, links, slideLabels);
+      for (const row of instanceRows) {
+        linksArray.push(Object.assign({
+          url: linkData.url,
+          targetType: targetType,
+          targetNodeId: linkData.targetNodeId || null,
+          targetName: target ? target.name : null,
+          targetPageName: target ? target.pageName : null,
+          groupId: null,
+          fileName: figma.root.name,
+          timestamp: linkData.timestamp || null,
+          regionOf: null,
+          regionName: null
+        }, row));
+      }
+    }
+    
+    linksArray.push({
       nodeId: nodeId,
       url: linkData.url,
+      targetType: targetType,
+      targetNodeId: linkData.targetNodeId || null,
+      targetName: target ? target.name : null,
+      targetPageName: target ? target.pageName : null,
       nodeName: linkData.nodeName,
       textNodeId: linkData.textNodeId,
       groupId: linkData.groupId || null,
       fileName: linkData.fileName || figma.root.name,
-      pageName: linkData.pageName || null
-    }));
+      pageName: (node && getLinkContainerName(node, slideLabels)) || linkData.pageName || null,
+      timestamp: linkData.timestamp || null,
+      regionOf: linkData.regionOf || null,
+      regionName: linkData.regionName || null,
+      componentId: linkData.componentId || null,
+      inheritance: inheritance,
+      duplicateOf: linkData.duplicateOf || null
+    });
+  }
   
   figma.ui.postMessage({
     type: 'links-list-update',
     links: linksArray,
-    currentFileName: figma.root.name
+    currentFileName: figma.root.name,
+    containerLabel: getLinkContainerLabel()
   });
 }
 
@@ -202,31 +765,30 @@ async function refreshLinksList() {
 
 // Find and select a node by ID
 async function selectNodeById(nodeId, rightClick = false) {
-  // Search through all pages, loading each as needed
-  for (const page of figma.root.children) {
-    if (page.type === 'PAGE') {
-      try {
-        await page.loadAsync();
-        const node = findNodeById(page, nodeId);
-        if (node) {
-          // Select the node and viewport to it
-          // Use setCurrentPageAsync for dynamic-page documentAccess
-          await figma.setCurrentPageAsync(page);
-          // figma.viewport.scrollAndZoomIntoView([node]);
-          figma.currentPage.selection = [node];
-          
-          if (rightClick) {
-            figma.notify(`Selected: ${node.name || 'object'}. Right-click in Figma to see context menu.`);
-          } else {
-            figma.notify(`Selected: ${node.name || 'object'}`);
-          }
-          return;
-        }
-      } catch (e) {
-        // Page might not be accessible, continue to next page
-        continue;
-      }
+  // Look the node up directly instead of walking every page
+  const node = nodeId ? await figma.getNodeByIdAsync(nodeId) : null;
+  
+  // Internal links can point to a whole page: just open it
+  if (node && node.type === 'PAGE') {
+    await figma.setCurrentPageAsync(node);
+    figma.notify(`Opened page: ${node.name}`);
+    return;
+  }
+  
+  const page = node ? getPageFromNode(node) : null;
+  if (page) {
+    // Select the node and viewport to it
+    // Use setCurrentPageAsync for dynamic-page documentAccess
+    await figma.setCurrentPageAsync(page);
+    // figma.viewport.scrollAndZoomIntoView([node]);
+    figma.currentPage.selection = [node];
+    
+    if (rightClick) {
+      figma.notify(`Selected: ${node.name || 'object'}. Right-click in Figma to see context menu.`);
+    } else {
+      figma.notify(`Selected: ${node.name || 'object'}`);
     }
+    return;
   }
   
   figma.notify('Object not found. It may have been deleted.');
@@ -234,69 +796,47 @@ async function selectNodeById(nodeId, rightClick = false) {
 
 // Find the original node ID when a Group or Link Object is selected
 function findOriginalNodeId(node, links) {
-  // Check if this node is a group that contains our hyperlink text node
-  if (node.type === 'GROUP' && 'children' in node) {
-    // Find the text node and original node in the group
-    let textNode = null;
-    let originalNode = null;
-    
+  // Check if this node is an AnyLink group: the original node is the child that isn't the overlay
+  if (isAnyLinkGroup(node)) {
     for (const child of node.children) {
-      if (child.type === 'TEXT' && child.opacity === 0) {
-        try {
-          const fontSize = child.getRangeFontSize(0, 1);
-          if (fontSize === 12 && child.characters.length > 0 && child.characters[0] === 'x') {
-            textNode = child;
-            break;
-          }
-        } catch (e) {
-          // Continue checking
-        }
+      if (!isOverlayTextNode(child)) {
+        return child.id;
       }
     }
-    
-    // Find the original node (the one that's not the text node)
-    if (textNode) {
-      for (const child of node.children) {
-        if (child.id !== textNode.id) {
-          originalNode = child;
-          break;
-        }
+  }
+  
+  // Check if this node is a text overlay that's part of an AnyLink setup
+  if (isOverlayTextNode(node)) {
+    // Component and slide links: the overlay sits inside the main component (or one of
+    // its instances) or the slide
+    if (node.parent && (node.parent.type === 'INSTANCE' || CONTAINER_LINK_TYPES.includes(node.parent.type))) {
+      const owner = getAnyLinkMarker(node);
+      if (node.parent.type === 'INSTANCE' || (owner && owner.nodeId === node.parent.id)) {
+        return node.parent.id;
       }
     }
     
-    if (originalNode) {
-      return originalNode.id;
-    }
-  }
-  
-  // Check if this node is a text node that's part of an AnyLink setup
-  if (node.type === 'TEXT' && node.opacity === 0) {
-    try {
-      const fontSize = node.getRangeFontSize(0, 1);
-      if (fontSize === 12 && node.characters.length > 0 && node.characters[0] === 'x') {
-        // Check if it's in a group (our AnyLink groups contain both the original node and text node)
-        if (node.parent && node.parent.type === 'GROUP') {
-          // Find the original node (the one that's not this text node)
-          for (const sibling of node.parent.children) {
-            if (sibling.id !== node.id) {
-              return sibling.id;
-            }
-          }
+    // Grouped placement: the original node is the child of the group that isn't an overlay
+    const group = getLinkGroup(node);
+    if (group) {
+      for (const sibling of group.children) {
+        if (sibling.id !== node.id && !isOverlayTextNode(sibling)) {
+          return sibling.id;
         }
       }
-    } catch (e) {
-      // Not our text node
     }
-  }
-  
-  // Check if this node ID matches any groupId or textNodeId in stored links
-  for (const [nodeId, linkData] of Object.entries(links)) {
-    if (linkData.groupId === node.id || linkData.textNodeId === node.id) {
-      return nodeId; // Return the original node ID
+    
+    // Overlay placement: the marker (or, before migration, the link record)
+    // records the object it belongs to
+    const owner = getAnyLinkMarker(node) || getLinkPluginData(node);
+    if (owner && owner.nodeId && node.parent &&
+        node.parent.children.some(sibling => sibling.id === owner.nodeId)) {
+      return owner.nodeId;
     }
   }
   
-  return null;
+  // Check if this node ID matches any groupId or textNodeId in stored links
+  return findLinkOwnerId(links, node.id);
 }
 
 // Check if a node is a Group or Link Object created by AnyLink
@@ -305,89 +845,471 @@ function isAnyLinkGroupOrTextNode(node, links) {
 }
 
 // ============================================================================
-// HYPERLINK DETECTION
+// ANYLINK MARKERS
 // ============================================================================
 
-// Find existing hyperlink text node for a given node
-async function findExistingHyperlink(node) {
-  // First, check if this node is in our storage (fast path)
-  const links = await loadLinksFromStorage();
-  if (links[node.id]) {
-    // Node is in storage, try to find the text node by ID
-    const linkData = links[node.id];
-    if (linkData.textNodeId) {
-      try {
-        const textNode = await figma.getNodeByIdAsync(linkData.textNodeId);
-        if (textNode && textNode.type === 'TEXT') {
-          return textNode;
-        }
-      } catch (e) {
-        // Text node might not exist anymore, continue with sibling search
-      }
-    }
+// Read the AnyLink marker of a node ({ version, role, nodeId }), or null
+function getAnyLinkMarker(node) {
+  try {
+    const data = node.getPluginData(MARKER_DATA_KEY);
+    return data ? JSON.parse(data) : null;
+  } catch (e) {
+    // Missing or malformed marker
+    return null;
   }
-  
-  // Look for a hidden text node sibling that might be the hyperlink
-  // When nodes are grouped, they'll be siblings in the same group
-  if (node.parent && 'children' in node.parent) {
-    const parent = node.parent;
-    const nodeIndex = parent.children.indexOf(node);
-    const isGrouped = parent.type === 'GROUP';
-    
-    // Check all siblings (both before and after, since they're now grouped)
-    for (let i = 0; i < parent.children.length; i++) {
-      if (i === nodeIndex) continue; // Skip the node itself
-      const sibling = parent.children[i];
-      if (sibling.type === 'TEXT' && sibling.opacity === 0) {
-        // Check if it's our hidden hyperlink text (font size 12, filled with 'x')
-        try {
-          const fontSize = sibling.getRangeFontSize(0, 1);
-          if (fontSize === 12 && sibling.characters.length > 0 && sibling.characters[0] === 'x') {
-            if (isGrouped) {
-              // When grouped, if the group has exactly 2 children, it's very likely an AnyLink setup
-              if (parent.children.length === 2) {
-                return sibling;
-              }
-              
-              // Otherwise, check dimensions with more lenient tolerance
-              // Position matching is less critical when grouped since both are relative to group
-              if ('width' in node && 'height' in node) {
-                const widthDiff = Math.abs(sibling.width - node.width);
-                const heightDiff = Math.abs(sibling.height - node.height);
-                
-                // Allow up to 50px difference in dimensions for grouped nodes (more lenient)
-                // This handles cases where the text node might not be perfectly aligned
-                if (widthDiff < 50 && heightDiff < 50) {
-                  return sibling;
-                }
-              } else {
-                // If node doesn't have width/height, just check if they're in the same group
-                // This handles edge cases where dimensions might not be available
-                return sibling;
-              }
-            } else {
-              // Not grouped - use stricter matching (original logic)
-              const posMatch = Math.abs(sibling.x - node.x) < 1 && Math.abs(sibling.y - node.y) < 1;
-              const sizeMatch = 'width' in node && 'height' in node && 
-                                Math.abs(sibling.width - node.width) < 1 && 
-                                Math.abs(sibling.height - node.height) < 1;
-              
-              if (posMatch && sizeMatch) {
-                return sibling;
-              }
-            }
-          }
-        } catch (e) {
-          // Continue searching if we can't read the font size
+}
+
+// Tag a node as an AnyLink overlay or group belonging to the original node
+function setAnyLinkMarker(node, role, nodeId) {
+  try {
+    node.setPluginData(MARKER_DATA_KEY, JSON.stringify({
+      version: MARKER_SCHEMA_VERSION,
+      role: role,
+      nodeId: nodeId
+    }));
+  } catch (e) {
+    // Node might have been removed or the file is read-only
+    console.log('Could not write marker to node:', e.message);
+  }
+}
+
+// Set while migrateLegacyOverlays confirms heuristic matches on an already migrated page
+let legacyMigrationActive = false;
+
+// Legacy overlays are only recognized by heuristics on pages that haven't been migrated
+// (scanPage migrates each page it scans)
+function isLegacyDetectionEnabled(node) {
+  if (legacyMigrationActive) {
+    return true;
+  }
+  const page = getPageFromNode(node);
+  return !page || Number(page.getPluginData(SCHEMA_VERSION_KEY) || 0) < MARKER_SCHEMA_VERSION;
+}
+
+// Heuristic used before markers existed: a hidden TEXT node, font size 12, filled with 'x'
+function matchesLegacyOverlayHeuristic(node) {
+  if (node.type !== 'TEXT' || node.opacity !== 0) {
+    return false;
+  }
+  try {
+    const fontSize = node.getRangeFontSize(0, 1);
+    return fontSize === 12 && node.characters.length > 0 && node.characters[0] === 'x';
+  } catch (e) {
+    // Not our text node
+    return false;
+  }
+}
+
+// Check if a node is an AnyLink text overlay (marker first, heuristic for unmigrated files)
+function isOverlayTextNode(node) {
+  if (node.type !== 'TEXT') {
+    return false;
+  }
+  const marker = getAnyLinkMarker(node);
+  if (marker) {
+    return marker.role === MARKER_ROLE_OVERLAY || marker.role === MARKER_ROLE_REGION;
+  }
+  return isLegacyDetectionEnabled(node) && matchesLegacyOverlayHeuristic(node);
+}
+
+// Check if a node is an overlay covering one region of an object
+function isRegionOverlay(node) {
+  const marker = node.type === 'TEXT' ? getAnyLinkMarker(node) : null;
+  return marker !== null && marker.role === MARKER_ROLE_REGION;
+}
+
+// Check if a node is an AnyLink group (marker first, heuristic for unmigrated files)
+function isAnyLinkGroup(node) {
+  if (node.type !== 'GROUP' || !('children' in node)) {
+    return false;
+  }
+  const marker = getAnyLinkMarker(node);
+  if (marker) {
+    return marker.role === MARKER_ROLE_GROUP;
+  }
+  if (!isLegacyDetectionEnabled(node)) {
+    return false;
+  }
+  // Unmigrated: groups carrying a link record, or two children one of which is an
+  // overlay (unless that overlay was placed without grouping)
+  return getLinkPluginData(node) !== null || (node.children.length === 2 &&
+    node.children.some(child => {
+      if (!matchesLegacyOverlayHeuristic(child)) return false;
+      const record = getLinkPluginData(child);
+      return !record || record.placement !== PLACEMENT_OVERLAY;
+    }));
+}
+
+// Get the AnyLink group holding a text overlay, or null for overlay placement
+// (a regular group the overlay happens to sit in doesn't count)
+function getLinkGroup(textNode) {
+  const parent = textNode.parent;
+  return parent && isAnyLinkGroup(parent) ? parent : null;
+}
+
+// Get the ID of the AnyLink group holding a text overlay, or null
+function getLinkGroupId(textNode) {
+  const group = getLinkGroup(textNode);
+  return group ? group.id : null;
+}
+
+// Tag a link's overlay and group with markers for the original node
+function markLinkNodes(nodeId, textNode, group) {
+  if (textNode) {
+    setAnyLinkMarker(textNode, MARKER_ROLE_OVERLAY, nodeId);
+  }
+  if (group) {
+    setAnyLinkMarker(group, MARKER_ROLE_GROUP, nodeId);
+  }
+}
+
+// Tag the overlays on a page created before markers existed, found with the old heuristic,
+// then record the schema version on the page. Runs on every scan of the page, so overlays
+// added later by older versions of the plugin are tagged as well
+async function migrateLegacyOverlays(page, textNodes, links, scanState) {
+  let tagged = 0;
+  legacyMigrationActive = true;
+  try {
+    for (const textNode of textNodes) {
+      if (textNode.type !== 'TEXT' || getAnyLinkMarker(textNode) || !matchesLegacyOverlayHeuristic(textNode)) continue;
+      
+      // Confirm the pairing the same way the scanner does before tagging
+      const originalNodeId = findOriginalNodeId(textNode, links);
+      const original = originalNodeId ? await figma.getNodeByIdAsync(originalNodeId) : null;
+      if (!original || (await findExistingHyperlink(original)) !== textNode) continue;
+      
+      markLinkNodes(originalNodeId, textNode, getLinkGroup(textNode));
+      tagged++;
+    }
+  } finally {
+    legacyMigrationActive = false;
+  }
+  
+  // A cancelled scan may not have seen the whole page
+  if (scanState && scanState.cancelled) {
+    return;
+  }
+  if (tagged === 0 && !isLegacyDetectionEnabled(page)) {
+    return;
+  }
+  try {
+    page.setPluginData(SCHEMA_VERSION_KEY, String(MARKER_SCHEMA_VERSION));
+  } catch (e) {
+    // File is read-only: keep using the heuristic
+    return;
+  }
+  // Keep the migration out of the user's next undo step
+  figma.commitUndo();
+  
+  if (tagged > 0) {
+    console.log(`Tagged ${tagged} legacy AnyLink overlay(s) on "${page.name}" with markers`);
+  }
+}
+
+// ============================================================================
+// EDITOR ADAPTERS
+// ============================================================================
+
+// Editors the plugin runs in (figma.editorType)
+const EDITOR_FIGMA = 'figma';
+const EDITOR_FIGJAM = 'figjam';
+const EDITOR_SLIDES = 'slides';
+const EDITOR_BUZZ = 'buzz';
+
+// Node types with a text sublayer that takes a hyperlink directly (FigJam stickies,
+// shapes with text and connector labels): an overlay can't follow their shape
+const NATIVE_LINK_TYPES = ['STICKY', 'SHAPE_WITH_TEXT', 'CONNECTOR'];
+
+// Node types that hold their overlay inside: main components (so instances inherit it)
+// and slides (which can't be grouped)
+const CONTAINER_LINK_TYPES = ['COMPONENT', 'SLIDE'];
+
+// Check if a node is linked through a hyperlink on its own text
+function usesNativeHyperlink(node) {
+  return NATIVE_LINK_TYPES.includes(node.type) && 'text' in node;
+}
+
+// The text whose hyperlink holds a link: the overlay itself, or a native node's text sublayer
+function getHyperlinkText(node) {
+  return usesNativeHyperlink(node) ? node.text : node;
+}
+
+// Check if a registry's textNodeId points at something that carries a hyperlink
+function isHyperlinkCarrier(node) {
+  return node.type === 'TEXT' || usesNativeHyperlink(node);
+}
+
+// How overlays are attached in this editor: slides and Buzz assets keep their
+// layer structure, elsewhere the user's choice applies
+function getEffectivePlacement() {
+  if (figma.editorType === EDITOR_SLIDES || figma.editorType === EDITOR_BUZZ) {
+    return PLACEMENT_OVERLAY;
+  }
+  return placementStrategy;
+}
+
+// Load every font used in a text, so its ranges can be changed
+async function loadTextFonts(text) {
+  const fonts = text.characters.length > 0 ? text.getRangeAllFontNames(0, text.characters.length) : [text.fontName];
+  for (const font of fonts) {
+    await figma.loadFontAsync(font);
+  }
+}
+
+// Link a sticky, shape or connector through its own text (the user's text is never changed)
+async function createNativeHyperlink(node, hyperlink) {
+  const text = node.text;
+  if (text.characters.length === 0) {
+    throw new Error('It has no text to hold the link. Add some text first');
+  }
+  // Linking the whole text would replace hyperlinks the user added to it
+  if (text.getRangeHyperlink(0, text.characters.length) !== null) {
+    throw new Error('Its text already contains hyperlinks. Remove them first to link the whole object');
+  }
+  
+  await loadTextFonts(text);
+  text.setRangeHyperlink(0, text.characters.length, hyperlink);
+  
+  // The caller commits the undo checkpoint once the link is registered
+  return { textNode: node, group: null };
+}
+
+// Remove a native link's hyperlink and AnyLink data from its object
+async function clearNativeHyperlink(node) {
+  const text = node.text;
+  if (text.characters.length > 0) {
+    await loadTextFonts(text);
+    text.setRangeHyperlink(0, text.characters.length, null);
+  }
+  node.setPluginData(MARKER_DATA_KEY, '');
+  setLinkPluginData(node, null);
+  setLinkRelaunchData(node, null);
+}
+
+// Find the overlay a main component or slide holds for its own link
+function getContainedOverlay(container) {
+  return container.children.find(child => {
+    const marker = child.type === 'TEXT' ? getAnyLinkMarker(child) : null;
+    return marker !== null && marker.role === MARKER_ROLE_OVERLAY && marker.nodeId === container.id;
+  }) || null;
+}
+
+// Create the overlay of a main component or slide inside it, scaling with it
+async function createContainedHyperlink(container, hyperlink) {
+  const { textNode, coverage } = await createOverlayText(container, 0, 0, container.width, container.height, hyperlink);
+  // Take the overlay out of auto layout so it doesn't move the container's layers
+  if ('layoutMode' in container && container.layoutMode !== 'NONE') {
+    textNode.layoutPositioning = 'ABSOLUTE';
+    textNode.x = 0;
+    textNode.y = 0;
+  }
+  textNode.constraints = { horizontal: 'SCALE', vertical: 'SCALE' };
+  textNode.name = ANYLINK_NAME_PREFIX + container.name;
+  markLinkNodes(container.id, textNode, null);
+  
+  // The caller commits the undo checkpoint once the link is registered
+  return { textNode: textNode, group: null, coverage: coverage };
+}
+
+// What the links table groups by in this editor: slides in Slides, assets (top-level
+// frames) in Buzz, pages elsewhere
+function getLinkContainerLabel() {
+  if (figma.editorType === EDITOR_SLIDES) return 'Slide';
+  if (figma.editorType === EDITOR_BUZZ) return 'Asset';
+  return 'Page';
+}
+
+// Number every slide in grid order ({ slideId: "3. Title" })
+function getSlideLabels() {
+  const labels = {};
+  if (figma.editorType !== EDITOR_SLIDES || typeof figma.getSlideGrid !== 'function') {
+    return labels;
+  }
+  let index = 0;
+  for (const row of figma.getSlideGrid()) {
+    for (const slide of row) {
+      index++;
+      labels[slide.id] = `${index}. ${slide.name}`;
+    }
+  }
+  return labels;
+}
+
+// Name of the slide or asset a linked node sits on, or null outside Slides and Buzz
+function getLinkContainerName(node, slideLabels) {
+  if (figma.editorType === EDITOR_SLIDES) {
+    for (let current = node; current; current = current.parent) {
+      if (current.type === 'SLIDE') {
+        return slideLabels[current.id] || current.name;
+      }
+    }
+  } else if (figma.editorType === EDITOR_BUZZ) {
+    for (let current = node; current && current.parent; current = current.parent) {
+      if (current.parent.type === 'PAGE') {
+        return current.name;
+      }
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// HYPERLINK DETECTION
+// ============================================================================
+
+// Find existing hyperlink text node for a given node
+async function findExistingHyperlink(node) {
+  // First, check if this node is in our storage (fast path)
+  const { links } = await getLinkIndex();
+  if (links[node.id]) {
+    // Node is in storage, try to find the text node by ID
+    const linkData = links[node.id];
+    if (linkData.textNodeId) {
+      try {
+        const textNode = await figma.getNodeByIdAsync(linkData.textNodeId);
+        if (textNode && isHyperlinkCarrier(textNode)) {
+          return textNode;
+        }
+      } catch (e) {
+        // Text node might not exist anymore, continue with sibling search
+      }
+    }
+  }
+  
+  // Stickies, shapes with text and connectors carry the hyperlink themselves
+  if (usesNativeHyperlink(node)) {
+    const marker = getAnyLinkMarker(node);
+    return marker && marker.role === MARKER_ROLE_NATIVE && getHyperlinkFromTextNode(node) ? node : null;
+  }
+  
+  // Main components and slides hold their overlay inside, and instances inherit it
+  if (CONTAINER_LINK_TYPES.includes(node.type)) {
+    const overlay = getContainedOverlay(node);
+    if (overlay) {
+      return overlay;
+    }
+  } else if (node.type === 'INSTANCE') {
+    const inherited = await getInstanceLinkOverlay(node, links);
+    if (inherited) {
+      return inherited.overlay;
+    }
+  }
+  
+  // Layers inside an instance can't have overlays of their own
+  if (isInsideInstance(node)) {
+    return null;
+  }
+  
+  // Overlays are never linked themselves
+  if (!node.parent || !('children' in node.parent) || isOverlayTextNode(node)) {
+    return null;
+  }
+  const parent = node.parent;
+  
+  // Grouped placement: the overlay is the other child of the AnyLink group
+  // (region overlays in the same group are links of their own)
+  if (isAnyLinkGroup(parent)) {
+    for (const sibling of parent.children) {
+      if (sibling.id !== node.id && isOverlayTextNode(sibling) && !isRegionOverlay(sibling)) {
+        return sibling;
+      }
+    }
+    return null;
+  }
+  
+  // Overlay placement: look for a marked overlay sibling belonging to this node
+  for (const sibling of parent.children) {
+    if (sibling.id === node.id || sibling.type !== 'TEXT') continue;
+    const marker = getAnyLinkMarker(sibling);
+    if (!marker || marker.role !== MARKER_ROLE_OVERLAY) continue;
+    if (marker.nodeId === node.id) {
+      return sibling;
+    }
+    // A copied object and overlay: the marker still names the original, so match on geometry
+    const markedNodeIsSibling = parent.children.some(other => other.id === marker.nodeId);
+    if (!markedNodeIsSibling && overlayMatchesGeometry(sibling, node)) {
+      return sibling;
+    }
+  }
+  
+  // Pages not migrated yet: fall back to the old heuristic for unmarked overlays
+  if (isLegacyDetectionEnabled(node)) {
+    return findLegacyHyperlink(node);
+  }
+  return null;
+}
+
+// Check if an overlay sits exactly on top of a node (same parent)
+function overlayMatchesGeometry(textNode, node) {
+  return 'width' in node && 'height' in node &&
+    Math.abs(textNode.x - node.x) < 1 && Math.abs(textNode.y - node.y) < 1 &&
+    Math.abs(textNode.width - node.width) < 1 && Math.abs(textNode.height - node.height) < 1;
+}
+
+// Find an unmarked overlay next to a node with the heuristic used before markers existed
+function findLegacyHyperlink(node) {
+  // Look for a hidden text node sibling that might be the hyperlink
+  // When nodes are grouped, they'll be siblings in the same group
+  const parent = node.parent;
+  const nodeIndex = parent.children.indexOf(node);
+  const isGrouped = parent.type === 'GROUP';
+  
+  // Check all siblings (both before and after, since they're now grouped)
+  for (let i = 0; i < parent.children.length; i++) {
+    if (i === nodeIndex) continue; // Skip the node itself
+    const sibling = parent.children[i];
+    // Check if it's our hidden hyperlink text (font size 12, filled with 'x'); skip tagged nodes
+    if (getAnyLinkMarker(sibling) || !matchesLegacyOverlayHeuristic(sibling)) continue;
+    
+    // Overlay placement: the text node records the object it belongs to
+    const record = getLinkPluginData(sibling);
+    if (record && record.nodeId === node.id) {
+      return sibling;
+    }
+    // Skip overlays that belong to another object next to this one
+    if (record && record.nodeId &&
+        parent.children.some(other => other.id === record.nodeId)) {
+      continue;
+    }
+    
+    if (isGrouped) {
+      // When grouped, if the group has exactly 2 children, it's very likely an AnyLink setup
+      if (parent.children.length === 2) {
+        return sibling;
+      }
+      
+      // Otherwise, check dimensions with more lenient tolerance
+      // Position matching is less critical when grouped since both are relative to group
+      if ('width' in node && 'height' in node) {
+        const widthDiff = Math.abs(sibling.width - node.width);
+        const heightDiff = Math.abs(sibling.height - node.height);
+        
+        // Allow up to 50px difference in dimensions for grouped nodes (more lenient)
+        // This handles cases where the text node might not be perfectly aligned
+        if (widthDiff < 50 && heightDiff < 50) {
+          return sibling;
         }
+      } else {
+        // If node doesn't have width/height, just check if they're in the same group
+        // This handles edge cases where dimensions might not be available
+        return sibling;
       }
+    } else if (overlayMatchesGeometry(sibling, node)) {
+      // Not grouped - use stricter matching (original logic)
+      return sibling;
     }
   }
   return null;
 }
 
 // Scan a single page for hyperlinks
-async function scanPage(page) {
+// Options:
+//   force - rescan even if the page was already scanned in this session
+//   scanState - shared state of a document scan; the walk yields to the editor
+//               every SCAN_CHUNK_SIZE nodes and stops when scanState.cancelled is set
+async function scanPage(page, options = {}) {
+  const { force = false, scanState = null } = options;
+  
   // Reset scanned pages if file hash changed (different file)
   const currentFileHash = getFileHash();
   if (lastFileHash !== currentFileHash) {
@@ -396,7 +1318,7 @@ async function scanPage(page) {
   }
   
   // Skip if already scanned
-  if (scannedPages.has(page.id)) {
+  if (!force && scannedPages.has(page.id)) {
     return;
   }
   
@@ -409,59 +1331,147 @@ async function scanPage(page) {
     return;
   }
   
-  const links = await loadLinksFromStorage();
+  const startedAt = Date.now();
+  const { links } = await getLinkIndex();
   const foundLinks = {};
+  let visitedNodes = 0;
+  
+  // Region overlays are registered under their own ID, from the record they carry
+  function registerRegionOverlay(node) {
+    const nodeRecord = getLinkPluginData(node);
+    const hyperlink = getHyperlinkFromTextNode(node);
+    if (nodeRecord && nodeRecord.regionOf && hyperlink) {
+      const page = getPageFromNode(node);
+      const record = Object.assign({}, links[node.id] || nodeRecord, getRecordFieldsFromHyperlink(hyperlink), {
+        textNodeId: node.id,
+        groupId: getLinkGroupId(node),
+        pageId: page ? page.id : null,
+        pageName: page ? page.name : null
+      });
+      delete record.nodeId;
+      foundLinks[node.id] = record;
+    }
+  }
   
+  // Register the link of one object, if it has one
   async function scanNode(node) {
-    // Check if this node has a hyperlink
+    if (scanState) {
+      if (scanState.cancelled) {
+        return;
+      }
+      visitedNodes++;
+      if (visitedNodes % SCAN_CHUNK_SIZE === 0) {
+        await yieldToEditor();
+      }
+    }
+    
+    if (isRegionOverlay(node)) {
+      registerRegionOverlay(node);
+      return;
+    }
+    
+    // Check if this node has a hyperlink (instances inheriting their main component's
+    // overlay are listed through the component)
     const existingLink = await findExistingHyperlink(node);
-    if (existingLink) {
-      const url = getUrlFromTextNode(existingLink);
-      if (url) {
+    if (existingLink && !(node.type === 'INSTANCE' && existingLink.parent === node)) {
+      const hyperlink = getHyperlinkFromTextNode(existingLink);
+      if (hyperlink) {
         // Find the group (parent of both node and textNode)
-        const groupId = existingLink.parent && existingLink.parent.type === 'GROUP' 
-          ? existingLink.parent.id 
-          : null;
+        const groupId = getLinkGroupId(existingLink);
         // Get page info from the node
         const page = getPageFromNode(node);
         const pageId = page ? page.id : null;
         const pageName = page ? page.name : null;
         
-        foundLinks[node.id] = {
-          url: url,
+        // Prefer the timestamp from the registry, then the one carried by the text node
+        const nodeRecord = getLinkPluginData(existingLink);
+        const timestamp = (links[node.id] && links[node.id].timestamp) ||
+          (nodeRecord && nodeRecord.nodeId === node.id && nodeRecord.timestamp) ||
+          Date.now();
+        
+        foundLinks[node.id] = Object.assign(getRecordFieldsFromHyperlink(hyperlink), {
           nodeName: node.name || 'Unnamed',
           textNodeId: existingLink.id,
           groupId: groupId,
-          fileId: getFileHash(),
+          placement: existingLink === node ? PLACEMENT_NATIVE : groupId ? PLACEMENT_GROUP : PLACEMENT_OVERLAY,
           fileName: figma.root.name,
           pageId: pageId,
           pageName: pageName,
-          timestamp: (links[node.id] && links[node.id].timestamp) || Date.now()
-        };
+          timestamp: timestamp
+        });
+        
+        // An overlay still marked for another object was copied from that object's link
+        const marker = getAnyLinkMarker(existingLink);
+        const duplicateOf = (links[node.id] && links[node.id].duplicateOf) ||
+          (marker && (marker.role === MARKER_ROLE_OVERLAY || marker.role === MARKER_ROLE_NATIVE) &&
+            marker.nodeId !== node.id ? marker.nodeId : null);
+        if (duplicateOf) {
+          foundLinks[node.id].duplicateOf = duplicateOf;
+        }
       }
     }
-    
-    // Recursively scan children
-    if ('children' in node) {
-      for (const child of node.children) {
-        await scanNode(child);
+  }
+  
+  // Every link lives on an overlay text node (or a sticky, shape or connector's own text),
+  // so only the objects next to those are checked instead of every node on the page
+  const candidates = page.findAllWithCriteria({ types: ['TEXT'].concat(NATIVE_LINK_TYPES) });
+  
+  // Tag overlays created before markers existed
+  await migrateLegacyOverlays(page, candidates, links, scanState);
+  
+  const owners = new Map();
+  for (const candidate of candidates) {
+    if (usesNativeHyperlink(candidate)) {
+      owners.set(candidate.id, candidate);
+      continue;
+    }
+    if (!isOverlayTextNode(candidate)) continue;
+    const parent = candidate.parent;
+    if (!parent || !('children' in parent)) continue;
+    // Components, slides and instances hold the overlay of their own link
+    if (parent.type === 'INSTANCE' || CONTAINER_LINK_TYPES.includes(parent.type)) {
+      owners.set(parent.id, parent);
+    }
+    for (const sibling of parent.children) {
+      if (sibling.id !== candidate.id && !isOverlayTextNode(sibling)) {
+        owners.set(sibling.id, sibling);
       }
     }
+    // Regions are registered in page order along with the objects
+    if (isRegionOverlay(candidate)) {
+      owners.set(candidate.id, candidate);
+    }
   }
-  
-  // Scan the page
-  for (const child of page.children) {
-    await scanNode(child);
+
+  // Objects registered on this page are checked too, as their overlay may have been
+  // moved into another parent
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    if (!linkData || linkData.pageId !== page.id || owners.has(nodeId)) continue;
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (node && getPageFromNode(node) === page) {
+      owners.set(nodeId, node);
+    }
+  }
+
+  for (const node of owners.values()) {
+    await scanNode(node);
   }
+  console.log(`Scanned page "${page.name}": ${candidates.length} text layers, ${owners.size} objects checked, ` +
+    `${Object.keys(foundLinks).length} links found in ${Date.now() - startedAt} ms`);
   
-  // Mark page as scanned
-  scannedPages.add(page.id);
+  // Mark page as scanned (unless the scan was cancelled part-way)
+  if (!scanState || !scanState.cancelled) {
+    scannedPages.add(page.id);
+  }
   
   // Update storage with found links (merge with existing timestamps)
   if (Object.keys(foundLinks).length > 0) {
     const allLinks = await loadLinksFromStorage();
     Object.assign(allLinks, foundLinks);
     await saveLinksToStorage(allLinks);
+    for (const [nodeId, record] of Object.entries(foundLinks)) {
+      await writeLinkRecordToNodes(nodeId, record);
+    }
   }
   
   return foundLinks;
@@ -477,6 +1487,79 @@ async function scanAllHyperlinks() {
   await refreshLinksList();
 }
 
+// Scan every page in the document, reporting progress to the UI
+// Returns a summary of the scan; pass { notify: false } to skip the notification
+async function scanEntireDocument(options = {}) {
+  const { notify = true } = options;
+  if (documentScan) {
+    figma.notify('A document scan is already running');
+    return;
+  }
+  
+  const scanState = { cancelled: false };
+  documentScan = scanState;
+  
+  const pages = figma.root.children.filter(page => page.type === 'PAGE');
+  let linksFound = 0;
+  let pagesScanned = 0;
+  
+  try {
+    for (let i = 0; i < pages.length; i++) {
+      if (scanState.cancelled) break;
+      
+      const page = pages[i];
+      figma.ui.postMessage({
+        type: 'scan-progress',
+        pageIndex: i + 1,
+        pageCount: pages.length,
+        pageName: page.name,
+        linksFound: linksFound
+      });
+      
+      const foundLinks = await scanPage(page, { force: true, scanState: scanState });
+      if (foundLinks) {
+        linksFound += Object.keys(foundLinks).length;
+      }
+      if (!scanState.cancelled) {
+        pagesScanned++;
+      }
+      
+      // Yield between pages so the editor stays responsive
+      await yieldToEditor();
+    }
+  } catch (error) {
+    figma.notify(`Error scanning document: ${error.message}`);
+    console.error('Error in scanEntireDocument:', error);
+  } finally {
+    documentScan = null;
+  }
+  
+  await refreshLinksList();
+  
+  figma.ui.postMessage({
+    type: 'scan-complete',
+    cancelled: scanState.cancelled,
+    pagesScanned: pagesScanned,
+    pageCount: pages.length,
+    linksFound: linksFound
+  });
+  
+  const summary = scanState.cancelled
+    ? `Scan cancelled after ${pagesScanned} of ${pages.length} pages`
+    : `Scanned ${pages.length} pages, found ${linksFound} links`;
+  if (notify) {
+    figma.notify(summary);
+  }
+  return summary;
+}
+
+// Cancel the running document scan, if any
+function cancelDocumentScan() {
+  if (documentScan) {
+    documentScan.cancelled = true;
+  }
+}
+
 // ============================================================================
 // HYPERLINK CREATION & UPDATES
 // ============================================================================
@@ -572,73 +1655,176 @@ async function setTextPropertySafely(textNode, property, value, loadedFont) {
   }
 }
 
-// Create a new hyperlink for a node
-async function createHyperlink(node, url) {
-  let textNode = null;
-  try {
-    // Get the node's dimensions and position
-    const width = 'width' in node ? node.width : 100;
-    const height = 'height' in node ? node.height : 100;
-    const x = node.x;
-    const y = node.y;
-    
-    // Validate dimensions
-    if (!isFinite(width) || !isFinite(height) || width <= 0 || height <= 0) {
-      throw new Error('Invalid object dimensions');
-    }
+// Overlays are laid out as a grid with one 'x' per cell: pixel letter spacing stretches each
+// character to the cell width and pixel line height each line to the cell height, so a few
+// characters cover a box of any size exactly. Cells are capped so huge frames don't need
+// extreme spacing values
+const MAX_OVERLAY_CELL_SIZE = 400;
+// Font size of overlay text (smaller for objects only a few pixels wide or tall)
+const OVERLAY_FONT_SIZE = 12;
+// Measure-and-correct passes while the laid-out text doesn't match the box
+const MAX_OVERLAY_FIT_PASSES = 3;
+// Coverage (percent of the box) below which the user is told part of an object isn't clickable
+const MIN_OVERLAY_COVERAGE = 99.5;
 
-    // Load font first (required before setting fontSize)
-    // Try multiple fonts and styles in order of preference, falling back to common fonts
-    // Figma often defaults to "Inter Regular" or "Inter Medium", so try those first
-    let loadedFont = null;
-    
-    // First, try to load common default fonts that Figma might use
-    const commonDefaults = [
-      { family: "Inter", style: "Regular" },
-      { family: "Inter", style: "Medium" },
-      { family: "Inter", style: "Normal" }
-    ];
-    
-    for (const font of commonDefaults) {
-      try {
-        await figma.loadFontAsync(font);
-        loadedFont = font;
-        break;
-      } catch (error) {
-        continue;
-      }
+// Percentage of a width x height box covered by laid-out text of a measured size
+function getCoveragePercent(textWidth, textHeight, width, height) {
+  // Lines and collapsed frames have nothing to cover
+  if (!(width > 0) || !(height > 0)) {
+    return 0;
+  }
+  const covered = Math.min(textWidth, width) * Math.min(textHeight, height);
+  return Math.max(0, Math.min(100, (covered / (width * height)) * 100));
+}
+
+// Columns and rows of the character grid covering width x height. At least two columns,
+// so letter spacing stretches the lines even when the font doesn't add it after the last
+// character
+function getOverlayGrid(width, height) {
+  return {
+    columns: Math.max(2, Math.ceil(width / MAX_OVERLAY_CELL_SIZE)),
+    rows: Math.max(1, Math.ceil(height / MAX_OVERLAY_CELL_SIZE))
+  };
+}
+
+// Check if an overlay holds more characters than the grid for its box, like the
+// 'x'-filled overlays made by earlier versions
+function hasOversizedOverlayText(textNode, width, height) {
+  const { columns, rows } = getOverlayGrid(width, height);
+  return textNode.characters.length > rows * columns + rows - 1;
+}
+
+// Lay out a hyperlink text node so its characters cover width x height exactly
+// The text node must already be in the document so it can be measured
+// Returns the percentage of the box the laid-out text covers
+async function fillHyperlinkText(textNode, width, height, loadedFont) {
+  const { columns, rows } = getOverlayGrid(width, height);
+  const cellWidth = width / columns;
+  const cellHeight = height / rows;
+  const fontSize = Math.max(1, Math.min(OVERLAY_FONT_SIZE, Math.floor(Math.min(cellWidth, cellHeight))));
+  
+  // The grid of characters, without paragraph spacing or indents between its lines
+  const line = 'x'.repeat(columns);
+  await setTextPropertySafely(textNode, 'characters', new Array(rows).fill(line).join('\n'), loadedFont);
+  await setTextPropertySafely(textNode, 'fontSize', fontSize, loadedFont);
+  await setTextPropertySafely(textNode, 'paragraphSpacing', 0, loadedFont);
+  await setTextPropertySafely(textNode, 'paragraphIndent', 0, loadedFont);
+  textNode.textAlignHorizontal = 'LEFT';
+  textNode.textAlignVertical = 'TOP';
+  textNode.textAutoResize = 'WIDTH_AND_HEIGHT';
+  
+  // Measure the size at two spacings to learn how much one pixel of letter spacing and
+  // line height adds, then solve for the spacing that matches the box
+  const setSpacing = async (letterSpacing, lineHeight) => {
+    await setTextPropertySafely(textNode, 'letterSpacing', { value: letterSpacing, unit: 'PIXELS' }, loadedFont);
+    await setTextPropertySafely(textNode, 'lineHeight', { value: lineHeight, unit: 'PIXELS' }, loadedFont);
+  };
+  await setSpacing(0, cellHeight);
+  const baseWidth = textNode.width;
+  const baseHeight = textNode.height;
+  await setSpacing(1, cellHeight + 1);
+  const widthPerPixel = textNode.width - baseWidth || columns - 1;
+  const heightPerPixel = textNode.height - baseHeight || rows;
+  let letterSpacing = (width - baseWidth) / widthPerPixel;
+  let lineHeight = cellHeight + (height - baseHeight) / heightPerPixel;
+  
+  // Verify the laid-out size against the box, correcting rounding in the layout
+  let coverage = 0;
+  for (let pass = 0; pass < MAX_OVERLAY_FIT_PASSES; pass++) {
+    await setSpacing(letterSpacing, lineHeight);
+    coverage = getCoveragePercent(textNode.width, textNode.height, width, height);
+    const widthError = width - textNode.width;
+    const heightError = height - textNode.height;
+    if (Math.abs(widthError) < 0.5 && Math.abs(heightError) < 0.5) {
+      break;
     }
-    
-    // If common defaults didn't work, try other fonts
-    if (!loadedFont) {
-      const fontFamilies = ["Inter", "Roboto", "Arial", "Helvetica", "Times New Roman", "Courier New"];
-      const fontStyles = ["Regular", "Medium", "Normal", "Bold", "Light", "Italic"];
-      
-      for (const family of fontFamilies) {
-        for (const style of fontStyles) {
-          try {
-            const font = { family: family, style: style };
-            await figma.loadFontAsync(font);
-            loadedFont = font;
-            break;
-          } catch (error) {
-            continue;
-          }
-        }
-        if (loadedFont) {
+    letterSpacing += widthError / widthPerPixel;
+    lineHeight += heightError / heightPerPixel;
+  }
+  
+  textNode.textAutoResize = 'NONE';
+  return coverage;
+}
+
+// Summarize the overlays laid out by one operation ({ name, coverage } each): logs one line
+// and returns a message naming the objects that aren't fully clickable, or '' if none
+function describeOverlayCoverage(results) {
+  if (results.length === 0) {
+    return '';
+  }
+  const incomplete = results.filter(result => result.coverage < MIN_OVERLAY_COVERAGE);
+  console.log(`Overlay coverage: ${results.length - incomplete.length} of ${results.length} overlays fully cover their objects`);
+  if (incomplete.length === 0) {
+    return '';
+  }
+  const names = incomplete.slice(0, 3).map(result => `${result.name} (${Math.floor(result.coverage)}%)`);
+  const more = incomplete.length > 3 ? ` and ${incomplete.length - 3} more` : '';
+  return `Not fully clickable: ${names.join(', ')}${more}`;
+}
+
+// Load a font for overlay text (required before setting fontSize)
+async function loadOverlayFont() {
+  // Try multiple fonts and styles in order of preference, falling back to common fonts
+  // Figma often defaults to "Inter Regular" or "Inter Medium", so try those first
+  let loadedFont = null;
+  
+  // First, try to load common default fonts that Figma might use
+  const commonDefaults = [
+    { family: "Inter", style: "Regular" },
+    { family: "Inter", style: "Medium" },
+    { family: "Inter", style: "Normal" }
+  ];
+  
+  for (const font of commonDefaults) {
+    try {
+      await figma.loadFontAsync(font);
+      loadedFont = font;
+      break;
+    } catch (error) {
+      continue;
+    }
+  }
+  
+  // If common defaults didn't work, try other fonts
+  if (!loadedFont) {
+    const fontFamilies = ["Inter", "Roboto", "Arial", "Helvetica", "Times New Roman", "Courier New"];
+    const fontStyles = ["Regular", "Medium", "Normal", "Bold", "Light", "Italic"];
+    
+    for (const family of fontFamilies) {
+      for (const style of fontStyles) {
+        try {
+          const font = { family: family, style: style };
+          await figma.loadFontAsync(font);
+          loadedFont = font;
           break;
+        } catch (error) {
+          continue;
         }
       }
+      if (loadedFont) {
+        break;
+      }
     }
-    
-    if (!loadedFont) {
-      throw new Error('Could not load any available font');
-    }
-    
-    // Create a text node
-    textNode = figma.createText();
-    textNode.opacity = 0; // Make it invisible
-    
+  }
+  
+  if (!loadedFont) {
+    throw new Error('Could not load any available font');
+  }
+  
+  return loadedFont;
+}
+
+// Create a hidden text overlay covering a box in a parent, linked to a hyperlink target
+// Returns { textNode, coverage } with the percentage of the box the overlay covers
+async function createOverlayText(parent, x, y, width, height, hyperlink) {
+  const loadedFont = await loadOverlayFont();
+  
+  // Create a text node (copy detection skips it, the caller registers it)
+  const textNode = figma.createText();
+  createdOverlayIds.add(textNode.id);
+  textNode.opacity = 0; // Make it invisible
+  
+  try {
     // Reload font right before using it to ensure it's available
     await figma.loadFontAsync(loadedFont);
     
@@ -647,7 +1833,7 @@ async function createHyperlink(node, url) {
     await setTextPropertySafely(textNode, 'characters', 'x', loadedFont);
     
     // Now set fontSize - use helper to handle font loading if needed
-    await setTextPropertySafely(textNode, 'fontSize', 12, loadedFont);
+    await setTextPropertySafely(textNode, 'fontSize', OVERLAY_FONT_SIZE, loadedFont);
     
     // Set the font explicitly to ensure it uses our loaded font
     await figma.loadFontAsync(loadedFont);
@@ -669,73 +1855,17 @@ async function createHyperlink(node, url) {
     textNode.x = x;
     textNode.y = y;
     
-    // Add to page temporarily to measure dimensions
-    if (node.parent && 'children' in node.parent) {
-      node.parent.appendChild(textNode);
+    // Add to the parent (or the page) to measure dimensions
+    if (parent && 'children' in parent) {
+      parent.appendChild(textNode);
     } else {
       figma.currentPage.appendChild(textNode);
     }
     
-    // Measure the actual width and height of a single 'x' character
-    const charWidth = textNode.width;
-    const charHeight = textNode.height;
-    
-    // Safety check: prevent creating too many characters (limit to reasonable size)
-    // Maximum total characters to prevent freezing (100k should be safe)
-    const MAX_TOTAL_CHARS = 100000;
-    const MAX_CHARS_PER_LINE = 5000;
-    const MAX_LINES = 5000;
-    
-    // Now switch to manual sizing
-    textNode.textAutoResize = 'NONE';
-    
-    // Calculate how many characters we need to fill the width and height
-    // Add extra padding to ensure full coverage, especially for the right edge
-    // Use different multipliers for horizontal and vertical to avoid over-extending
-    const horizontalPaddingMultiplier = 1.5; // Add 50% extra for width (top, left, right edges)
-    const verticalPaddingMultiplier = 0.5; // Use 50% of height to prevent over-extending
-    let charsPerLine = Math.ceil((width / charWidth) * horizontalPaddingMultiplier) + 10;
-    let numLines = Math.ceil((height / charHeight) * verticalPaddingMultiplier); // Reduced to prevent bottom overflow
-    
-    // Cap the values to prevent freezing
-    const totalChars = charsPerLine * numLines;
-    if (totalChars > MAX_TOTAL_CHARS) {
-      // Scale down proportionally to stay within limit
-      const scale = Math.sqrt(MAX_TOTAL_CHARS / totalChars);
-      charsPerLine = Math.floor(charsPerLine * scale);
-      numLines = Math.floor(numLines * scale);
-    }
-    
-    if (charsPerLine > MAX_CHARS_PER_LINE) {
-      charsPerLine = MAX_CHARS_PER_LINE;
-    }
-    if (numLines > MAX_LINES) {
-      numLines = MAX_LINES;
-    }
-    
-    // Fill the text with 'x' characters to completely fill the box
-    // Reload font before setting characters to ensure it's available
-    await figma.loadFontAsync(loadedFont);
-    
-    // Create lines of 'x' characters separated by newlines
-    // Use a more efficient approach for large text
-    try {
-      const lines = [];
-      for (let i = 0; i < numLines; i++) {
-        lines.push('x'.repeat(charsPerLine));
-      }
-      const fullText = lines.join('\n');
-      // Use helper function to handle any font loading errors
-      await setTextPropertySafely(textNode, 'characters', fullText, loadedFont);
-    } catch (error) {
-      // If creating the text fails, fall back to a minimal approach
-      // Use helper function to handle font loading
-      const fallbackChars = Math.min(charsPerLine * numLines, 50000);
-      await setTextPropertySafely(textNode, 'characters', 'x'.repeat(fallbackChars), loadedFont);
-      figma.notify('Large object detected - using optimized hyperlink');
-    }
+    // Lay out the text so its characters cover the box exactly
+    const coverage = await fillHyperlinkText(textNode, width, height, loadedFont);
     
-    // Resize to match the node dimensions exactly
+    // Resize to match the box exactly
     textNode.resize(width, height);
     
     // Ensure exact position match
@@ -746,7 +1876,81 @@ async function createHyperlink(node, url) {
     // In Figma API, hyperlinks are set using setRangeHyperlink for text ranges
     const textLength = textNode.characters.length;
     if (textLength > 0) {
-      textNode.setRangeHyperlink(0, textLength, { type: 'URL', value: url });
+      textNode.setRangeHyperlink(0, textLength, hyperlink);
+    }
+    
+    return { textNode: textNode, coverage: coverage };
+  } catch (error) {
+    // Clean up the text node if something went wrong
+    if (textNode.parent) {
+      textNode.remove();
+    }
+    throw error;
+  }
+}
+
+// Insert an overlay right above an object in the same parent, at a position in that parent
+function insertOverlayAboveNode(node, textNode, x, y) {
+  const parent = node.parent;
+  parent.insertChild(parent.children.indexOf(node) + 1, textNode);
+  // Take the overlay out of auto layout so it doesn't move its siblings
+  if ('layoutMode' in parent && parent.layoutMode !== 'NONE') {
+    textNode.layoutPositioning = 'ABSOLUTE';
+  }
+  textNode.x = x;
+  textNode.y = y;
+  // Follow the object when the parent frame is resized
+  if ('constraints' in node) {
+    textNode.constraints = node.constraints;
+  }
+}
+
+// Create a new hyperlink for a node
+// hyperlink is a Figma hyperlink target: { type: 'URL', value: url } or { type: 'NODE', value: nodeId }
+async function createHyperlink(node, hyperlink) {
+  if (usesNativeHyperlink(node)) {
+    return await createNativeHyperlink(node, hyperlink);
+  }
+  // Components keep the overlay inside, so instances inherit it; so do slides, which can't be grouped
+  if (CONTAINER_LINK_TYPES.includes(node.type)) {
+    return await createContainedHyperlink(node, hyperlink);
+  }
+  if (isInsideInstance(node)) {
+    throw new Error('Layers inside an instance can\'t be linked. Link the main component or the whole instance instead');
+  }
+  
+  let textNode = null;
+  try {
+    // Get the node's dimensions and position
+    const width = 'width' in node ? node.width : 100;
+    const height = 'height' in node ? node.height : 100;
+    const x = node.x;
+    const y = node.y;
+    
+    // Validate dimensions
+    if (!isFinite(width) || !isFinite(height) || width <= 0 || height <= 0) {
+      throw new Error('Invalid object dimensions');
+    }
+
+    const overlay = await createOverlayText(node.parent, x, y, width, height, hyperlink);
+    textNode = overlay.textNode;
+
+    // The object may already sit in an AnyLink group holding its region hotspots
+    if (node.parent && isAnyLinkGroup(node.parent)) {
+      insertOverlayAboveNode(node, textNode, x, y);
+      textNode.name = ANYLINK_NAME_PREFIX + node.name;
+      markLinkNodes(node.id, textNode, node.parent);
+      return { textNode: textNode, group: node.parent, coverage: overlay.coverage };
+    }
+
+    if (getEffectivePlacement() === PLACEMENT_OVERLAY && node.parent && 'children' in node.parent) {
+      // Keep the hierarchy: insert the overlay right above the object in the same parent
+      insertOverlayAboveNode(node, textNode, x, y);
+      textNode.name = ANYLINK_NAME_PREFIX + node.name;
+      markLinkNodes(node.id, textNode, null);
+      
+      // The caller commits the undo checkpoint once the link is registered
+      return { textNode: textNode, group: null, coverage: overlay.coverage };
     }
 
     // Group the text node with the original object so they move together
@@ -758,14 +1962,14 @@ async function createHyperlink(node, url) {
     
     // Group both nodes together - figma.group() maintains their absolute positions
     const group = figma.group([node, textNode], originalParent || figma.currentPage, originalIndex);
-    group.name = 'AnyLink: ' + node.name;
+    group.name = ANYLINK_NAME_PREFIX + node.name;
+    markLinkNodes(node.id, textNode, group);
     
-    // Commit undo checkpoint right after all Figma operations complete
-    // This makes the entire creation a single undo step
-    figma.commitUndo();
+    // The caller commits the undo checkpoint once the link is registered,
+    // so creation and registry update form a single undo step
     
     // Return both text node and group so we can save their IDs to storage
-    return { textNode: textNode, group: group };
+    return { textNode: textNode, group: group, coverage: overlay.coverage };
   } catch (error) {
     // Clean up text node if something went wrong
     if (textNode && textNode.parent) {
@@ -780,110 +1984,160 @@ async function createHyperlink(node, url) {
 }
 
 // Update an existing hyperlink
-async function updateHyperlink(textNode, url) {
-  // Update hyperlink using setRangeHyperlink
-  const textLength = textNode.characters.length;
+async function updateHyperlink(textNode, hyperlink) {
+  // Update hyperlink using setRangeHyperlink (on the object's own text for native links)
+  const text = getHyperlinkText(textNode);
+  const textLength = text.characters.length;
   if (textLength > 0) {
-    textNode.setRangeHyperlink(0, textLength, { type: 'URL', value: url });
+    await loadTextFonts(text);
+    text.setRangeHyperlink(0, textLength, hyperlink);
   }
-  // Commit undo checkpoint right after the update operation
-  // This makes the update a single undo step
-  figma.commitUndo();
+  // The caller commits the undo checkpoint once the registry is updated
+}
+
+// Create or update the hyperlink of a single node and register it
+// Returns { action: 'created' | 'updated', coverage } (coverage of a new overlay, null when
+// none was laid out); the caller commits the undo checkpoint
+async function applyHyperlinkToNode(node, hyperlink, options = {}) {
+  // Check if node already has a hyperlink (by checking for hidden text child)
+  const existingLink = await findExistingHyperlink(node);
+  
+  if (existingLink) {
+    // Update existing hyperlink (an instance that opted out of its component's link gets it back)
+    if (existingLink.visible === false) {
+      existingLink.visible = true;
+    }
+    await updateHyperlink(existingLink, hyperlink);
+    // Find the group (parent of both node and textNode)
+    const groupId = getLinkGroupId(existingLink);
+    // Update in storage (plugin data in the document)
+    await saveLinkToStorage(node.id, node.name || 'Unnamed', existingLink.id, groupId, hyperlink, options);
+    return { action: 'updated', coverage: null };
+  }
+  
+  // Create new hyperlink
+  const result = await createHyperlink(node, hyperlink);
+  // Save to storage (plugin data in the document)
+  await saveLinkToStorage(node.id, node.name || 'Unnamed', result.textNode.id, result.group ? result.group.id : null, hyperlink, options);
+  return { action: 'created', coverage: typeof result.coverage === 'number' ? result.coverage : null };
 }
 
 // Add or update hyperlink for selected objects
+// The URL may be a template with per-object placeholders (see resolveUrlTemplate)
 async function addHyperlink(url) {
-  try {
-    const selection = figma.currentPage.selection;
-    const links = await loadLinksFromStorage();
-    
-    if (selection.length === 0) {
-      figma.notify('Please select an object to add a hyperlink');
+  if (isUrlTemplate(url)) {
+    const unknown = getUnknownTemplatePlaceholders(url);
+    if (unknown.length > 0) {
+      figma.notify(`Unknown placeholder: ${unknown.join(', ')}`);
       return;
     }
-
-    // Handle Group or Link Object selections - find original nodes to update
-    const nodesToUpdate = [];
-    let needsPageLoad = false;
     
-    // Check if we need to search through pages
-    for (const node of selection) {
-      const originalNodeId = findOriginalNodeId(node, links);
-      if (originalNodeId) {
-        needsPageLoad = true;
-        break;
+    const nodesToUpdate = await getSelectedNodesToLink();
+    const resolvedUrls = new Map();
+    for (let i = 0; i < nodesToUpdate.length; i++) {
+      const resolved = parseUrl(resolveUrlTemplate(url, nodesToUpdate[i], i));
+      if (!resolved.url) {
+        figma.notify(`Template gives an invalid URL for ${nodesToUpdate[i].name || 'object'}: ${resolved.error}`);
+        return;
       }
+      resolvedUrls.set(nodesToUpdate[i].id, resolved.url);
     }
     
-    // Load pages if needed (required for dynamic-page documentAccess)
-    if (needsPageLoad) {
-      await figma.loadAllPagesAsync();
-    }
-    
-    for (const node of selection) {
-      const originalNodeId = findOriginalNodeId(node, links);
-      if (originalNodeId) {
-        // Search for the original node
-        for (const page of figma.root.children) {
-          if (page.type === 'PAGE') {
-            const originalNode = findNodeById(page, originalNodeId);
-            if (originalNode) {
-              nodesToUpdate.push(originalNode);
-              break;
-            }
-          }
-        }
-      } else {
-        nodesToUpdate.push(node);
+    await linkSelection(node => ({ type: 'URL', value: resolvedUrls.get(node.id) }));
+    return;
+  }
+  
+  // Validate and process URL
+  const parsed = parseUrl(url);
+  if (!parsed.url) {
+    figma.notify(parsed.error);
+    return;
+  }
+  
+  await linkSelection(() => ({ type: 'URL', value: parsed.url }));
+}
+
+// Add or update an internal link to a node or page in this file for selected objects
+async function addNodeLink(targetNodeId) {
+  const target = targetNodeId ? await figma.getNodeByIdAsync(targetNodeId) : null;
+  if (!target || target.type === 'DOCUMENT') {
+    figma.notify('Link target not found. It may have been deleted.');
+    return;
+  }
+  
+  await linkSelection(() => ({ type: 'NODE', value: target.id }));
+}
+
+// Get the objects to link for the current selection: Group or Link Object
+// selections are replaced by the original objects they belong to
+async function getSelectedNodesToLink() {
+  const selection = figma.currentPage.selection;
+  const links = await loadLinksFromStorage();
+  
+  // Handle Group or Link Object selections - find original nodes to update
+  const nodesToUpdate = [];
+  for (const node of selection) {
+    const originalNodeId = findOriginalNodeId(node, links);
+    if (originalNodeId) {
+      const originalNode = await figma.getNodeByIdAsync(originalNodeId);
+      if (originalNode) {
+        nodesToUpdate.push(originalNode);
       }
+    } else {
+      nodesToUpdate.push(node);
     }
+  }
+  
+  return nodesToUpdate;
+}
 
-    // Validate and process URL
-    if (!url || typeof url !== 'string') {
-      figma.notify('Please enter a valid URL');
+// Apply a hyperlink target to every selected object, creating or updating links
+// resolveHyperlink(node, index) returns the hyperlink target for each object
+async function linkSelection(resolveHyperlink) {
+  try {
+    if (figma.currentPage.selection.length === 0) {
+      figma.notify('Please select an object to add a hyperlink');
       return;
     }
 
-    // Ensure URL has protocol
-    let hyperlinkUrl = url.trim();
-    if (hyperlinkUrl.length === 0) {
-      figma.notify('Please enter a valid URL');
-      return;
-    }
-    if (!hyperlinkUrl.match(/^https?:\/\//i)) {
-      hyperlinkUrl = 'https://' + hyperlinkUrl;
-    }
+    const nodesToUpdate = await getSelectedNodesToLink();
+    const coverageResults = [];
 
-    for (const node of nodesToUpdate) {
+    for (let i = 0; i < nodesToUpdate.length; i++) {
+      const node = nodesToUpdate[i];
+      const hyperlink = resolveHyperlink(node, i);
+      
+      // An object can't link to itself
+      if (hyperlink.type === 'NODE' && hyperlink.value === node.id) {
+        figma.notify(`${node.name || 'Object'} can't link to itself`);
+        continue;
+      }
+      
       try {
-        // Check if node already has a hyperlink (by checking for hidden text child)
-        const existingLink = await findExistingHyperlink(node);
-        
-        if (existingLink) {
-          // Update existing hyperlink (commitUndo is called inside updateHyperlink)
-          await updateHyperlink(existingLink, hyperlinkUrl);
-          // Find the group (parent of both node and textNode)
-          const groupId = existingLink.parent && existingLink.parent.type === 'GROUP' 
-            ? existingLink.parent.id 
-            : null;
-          // Update in storage (this doesn't affect the document)
-          await saveLinkToStorage(node.id, node.name || 'Unnamed', existingLink.id, groupId, hyperlinkUrl);
+        const { action, coverage } = await applyHyperlinkToNode(node, hyperlink);
+        // Commit undo checkpoint so each object's link is a single undo step
+        figma.commitUndo();
+        if (coverage !== null) {
+          coverageResults.push({ name: node.name || 'Unnamed', coverage: coverage });
+        }
+        if (action === 'updated') {
           figma.notify(`Updated hyperlink for ${node.name || 'object'}`);
         } else {
-          // Create new hyperlink (commitUndo is called inside createHyperlink)
-          const result = await createHyperlink(node, hyperlinkUrl);
-          // Save to storage (this doesn't affect the document)
-          await saveLinkToStorage(node.id, node.name || 'Unnamed', result.textNode.id, result.group.id, hyperlinkUrl);
           figma.notify(`Added hyperlink to ${node.name || 'object'}`);
         }
       } catch (error) {
         figma.notify(`Error adding hyperlink to ${node.name || 'object'}: ${error.message}`);
-        console.error('Error in addHyperlink:', error);
+        console.error('Error in linkSelection:', error);
       }
     }
+    
+    const coverageMessage = describeOverlayCoverage(coverageResults);
+    if (coverageMessage) {
+      figma.notify(coverageMessage);
+    }
   } catch (error) {
     figma.notify(`Error: ${error.message}`);
-    console.error('Fatal error in addHyperlink:', error);
+    console.error('Fatal error in linkSelection:', error);
   }
 }
 
@@ -893,38 +2147,30 @@ async function modifyLink(nodeId, url) {
     const links = await loadLinksFromStorage();
     const linkData = links[nodeId];
     
-    if (!linkData) {
-      figma.notify('Link not found in storage');
+    // Validate URL
+    const parsed = parseUrl(url);
+    if (!parsed.url) {
+      figma.notify(parsed.error);
       return;
     }
+    const hyperlinkUrl = parsed.url;
     
-    // Validate URL
-    let hyperlinkUrl = url.trim();
-    if (!hyperlinkUrl) {
-      figma.notify('Please enter a valid URL');
+    // Instances override the link they inherit from their main component
+    const instance = await figma.getNodeByIdAsync(nodeId);
+    if (instance && instance.type === 'INSTANCE' && (!linkData || linkData.componentId)) {
+      await applyHyperlinkToNode(instance, { type: 'URL', value: hyperlinkUrl }, { refresh: false });
+      figma.commitUndo();
+      await refreshLinksList();
+      figma.notify(`Updated hyperlink for ${instance.name || 'object'}`);
       return;
     }
-    if (!hyperlinkUrl.match(/^https?:\/\//i)) {
-      hyperlinkUrl = 'https://' + hyperlinkUrl;
-    }
     
-    // Find the text node by searching through pages
-    let textNode = null;
-    for (const page of figma.root.children) {
-      if (page.type === 'PAGE') {
-        try {
-          await page.loadAsync();
-          if (linkData.textNodeId) {
-            textNode = findNodeById(page, linkData.textNodeId);
-            if (textNode) break;
-          }
-        } catch (e) {
-          // Page might not be accessible, continue to next page
-          continue;
-        }
-      }
+    if (!linkData) {
+      figma.notify('Link not found in storage');
+      return;
     }
     
+    const textNode = linkData.textNodeId ? await figma.getNodeByIdAsync(linkData.textNodeId) : null;
     if (!textNode) {
       figma.notify('Link object not found. It may have been deleted.');
       // Clean up storage
@@ -934,15 +2180,17 @@ async function modifyLink(nodeId, url) {
     }
     
     // Update the hyperlink
-    await updateHyperlink(textNode, hyperlinkUrl);
+    const hyperlink = { type: 'URL', value: hyperlinkUrl };
+    await updateHyperlink(textNode, hyperlink);
     
     // Find the group (parent of text node)
-    const groupId = textNode.parent && textNode.parent.type === 'GROUP' 
-      ? textNode.parent.id 
-      : null;
+    const groupId = getLinkGroupId(textNode);
     
     // Update in storage
-    await saveLinkToStorage(nodeId, linkData.nodeName || 'Unnamed', textNode.id, groupId, hyperlinkUrl);
+    await saveLinkToStorage(nodeId, linkData.nodeName || 'Unnamed', textNode.id, groupId, hyperlink);
+    
+    // Commit undo checkpoint so the update is a single undo step
+    figma.commitUndo();
     
     // Refresh the links list
     await refreshLinksList();
@@ -955,49 +2203,60 @@ async function modifyLink(nodeId, url) {
 }
 
 // Delete a link: remove text node, ungroup, and remove from storage
-async function deleteLink(nodeId) {
+// Returns true if the link was removed; pass { notify: false } to skip the notification
+async function deleteLink(nodeId, options = {}) {
+  const { notify = true } = options;
   try {
     const links = await loadLinksFromStorage();
     const linkData = links[nodeId];
     
-    if (!linkData) {
-      figma.notify('Link not found in storage');
-      return;
+    // Instances can't lose the overlay they inherit, they opt out of it instead
+    const instance = await figma.getNodeByIdAsync(nodeId);
+    if (instance && instance.type === 'INSTANCE' && (!linkData || linkData.componentId)) {
+      return await optOutInstanceLink(instance, { notify });
     }
     
-    let group = null;
-    let textNode = null;
-    let originalNode = null;
+    if (!linkData) {
+      if (notify) {
+        figma.notify('Link not found in storage');
+      }
+      return false;
+    }
     
-    // Search for the group, loading pages as needed
-    for (const page of figma.root.children) {
-      if (page.type === 'PAGE') {
-        try {
-          await page.loadAsync();
-          if (linkData.groupId) {
-            group = findNodeById(page, linkData.groupId);
-          }
-          if (linkData.textNodeId) {
-            textNode = findNodeById(page, linkData.textNodeId);
-          }
-          if (group || textNode) break;
-        } catch (e) {
-          // Page might not be accessible, continue to next page
-          continue;
-        }
+    // Native links only lose their hyperlink, the object stays as it is
+    if (linkData.placement === PLACEMENT_NATIVE) {
+      if (instance && usesNativeHyperlink(instance)) {
+        await clearNativeHyperlink(instance);
       }
+      await removeLinkFromStorage(nodeId);
+      await appendLinkHistory(nodeId, HISTORY_REMOVED, linkData, null);
+      figma.commitUndo();
+      if (notify) {
+        figma.notify(`Removed hyperlink from ${linkData.nodeName || 'object'}`);
+      }
+      return true;
     }
     
+    let group = linkData.groupId ? await figma.getNodeByIdAsync(linkData.groupId) : null;
+    const textNode = linkData.textNodeId ? await figma.getNodeByIdAsync(linkData.textNodeId) : null;
+    let originalNode = null;
+    
     // If we found the group, get the original node from it
     if (group && 'children' in group) {
       for (const child of group.children) {
-        if (child.id !== linkData.textNodeId) {
+        if (child.id !== linkData.textNodeId && !isOverlayTextNode(child)) {
           originalNode = child;
           break;
         }
       }
     }
     
+    // Keep the group while other hotspots of the same object still live in it
+    if (group && 'children' in group &&
+        group.children.some(child => child.id !== linkData.textNodeId && isOverlayTextNode(child))) {
+      group = null;
+    }
+    
     // Remove the text node (if it still exists)
     if (textNode) {
       try {
@@ -1018,8 +2277,12 @@ async function deleteLink(nodeId) {
         if (!group.parent) {
           // Group already removed, just clean up storage
           await removeLinkFromStorage(nodeId);
-          figma.notify(`Removed hyperlink from ${linkData.nodeName || 'object'}`);
-          return;
+          await appendLinkHistory(nodeId, HISTORY_REMOVED, linkData, null);
+          figma.commitUndo();
+          if (notify) {
+            figma.notify(`Removed hyperlink from ${linkData.nodeName || 'object'}`);
+          }
+          return true;
         }
         
         const groupParent = group.parent;
@@ -1040,10 +2303,6 @@ async function deleteLink(nodeId) {
         if (group.parent) {
           group.remove();
         }
-        
-        // Commit undo checkpoint right after all Figma deletion operations complete
-        // This makes the entire deletion a single undo step
-        figma.commitUndo();
       } catch (e) {
         console.error('Error ungrouping:', e);
         // If ungrouping fails, try to just remove from storage
@@ -1057,8 +2316,6 @@ async function deleteLink(nodeId) {
               if (group.parent) {
                 group.remove();
               }
-              // Commit undo checkpoint after fallback operations
-              figma.commitUndo();
             }
           }
         } catch (e2) {
@@ -1066,121 +2323,2308 @@ async function deleteLink(nodeId) {
           // Even if ungrouping fails, still remove from storage
         }
       }
-    } else if (textNode) {
-      // If we only have textNode (no group), commit undo after removing it
-      figma.commitUndo();
     }
     
-    // Remove from storage (this doesn't affect the document, so it's after commitUndo)
+    // Objects linked without a group carry the relaunch buttons themselves
+    const linkedNode = await figma.getNodeByIdAsync(nodeId);
+    if (linkedNode) {
+      setLinkRelaunchData(linkedNode, null);
+    }
+    
+    // Instance overrides go away with the component's overlay
+    await removeLinkRecords(record => record.componentId === nodeId);
+    
+    // Remove from storage (plugin data in the document)
     await removeLinkFromStorage(nodeId);
+    await appendLinkHistory(nodeId, HISTORY_REMOVED, linkData, null);
+    
+    // Commit undo checkpoint right after all deletion operations complete
+    // This makes the entire deletion a single undo step
+    figma.commitUndo();
     
-    figma.notify(`Removed hyperlink from ${linkData.nodeName || 'object'}`);
+    if (notify) {
+      figma.notify(`Removed hyperlink from ${linkData.nodeName || 'object'}`);
+    }
+    return true;
   } catch (error) {
     figma.notify(`Error deleting link: ${error.message}`);
     console.error('Error in deleteLink:', error);
+    return false;
   }
 }
 
-// ============================================================================
-// SELECTION & VALIDATION
-// ============================================================================
-
-// Validate current selection and update UI
-async function validateSelection() {
+// Remove the links of the selected objects (selecting a group or overlay counts as its object)
+// Returns a summary for the notification
+async function removeLinksFromSelection() {
   const selection = figma.currentPage.selection;
-  let links = await loadLinksFromStorage();
+  if (selection.length === 0) {
+    return 'Select a linked object to remove its link';
+  }
   
-  const selectionInfo = await Promise.all(selection.map(async node => {
-    const existingLink = await findExistingHyperlink(node);
-    let existingUrl = null;
-    
-    if (existingLink) {
-      // Try to get the hyperlink URL from the text node
-      existingUrl = getUrlFromTextNode(existingLink);
-      
-      // If link found but not in storage, add it
-      // Check both by node.id and by checking if the file hash matches
-      const currentFileHash = getFileHash();
-      const linkExists = links[node.id] && links[node.id].fileId === currentFileHash;
-      
-      if (existingUrl && !linkExists) {
-        const groupId = existingLink.parent && existingLink.parent.type === 'GROUP' 
-          ? existingLink.parent.id 
-          : null;
-        await saveLinkToStorage(node.id, node.name || 'Unnamed', existingLink.id, groupId, existingUrl);
-        // Reload links after saving to get updated data
-        links = await loadLinksFromStorage();
-        // Explicitly refresh the links list to ensure UI updates
-        await refreshLinksList();
-      }
-    }
-    
-    // Check if this is a Group or Link Object - if so, find the original node
-    const originalNodeId = findOriginalNodeId(node, links);
-    const isGroupOrLinkObject = originalNodeId !== null;
-    
-    // If it's a Group or Link Object, get the URL from the original node's link
-    let groupOrLinkObjectUrl = null;
-    if (isGroupOrLinkObject && originalNodeId && links[originalNodeId]) {
-      groupOrLinkObjectUrl = links[originalNodeId].url;
+  // Register links on this page the registry doesn't know about yet
+  await scanPage(figma.currentPage);
+  const links = await loadLinksFromStorage();
+  
+  let removed = 0;
+  for (const node of selection) {
+    const nodeId = links[node.id] ? node.id : findOriginalNodeId(node, links);
+    if (nodeId && (await deleteLink(nodeId, { notify: false }))) {
+      removed++;
     }
-    
-    return {
-      id: node.id,
-      type: node.type,
-      hasHyperlink: existingLink !== null || isGroupOrLinkObject,
-      hyperlinkUrl: existingUrl || groupOrLinkObjectUrl,
-      isGroupOrLinkObject: isGroupOrLinkObject,
-      originalNodeId: originalNodeId
-    };
-  }));
+  }
   
-  figma.ui.postMessage({
-    type: 'selection-update',
-    selection: selectionInfo
-  });
+  return removed > 0 ? `Removed ${removed} links` : 'No links found in the selection';
 }
 
 // ============================================================================
-// EVENT HANDLERS & INITIALIZATION
+// HOTSPOT SYNC
 // ============================================================================
 
-// Initialize: scan file and refresh UI
-async function initialize() {
-  // Initialize last current page ID
-  lastCurrentPageId = figma.currentPage ? figma.currentPage.id : null;
-  
-  // Scan the current page
-  await scanAllHyperlinks();
-  await refreshLinksList();
-  validateSelection();
+// Node properties that change the geometry of a linked object
+const GEOMETRY_PROPERTIES = ['x', 'y', 'width', 'height', 'relativeTransform'];
+
+// Linked objects whose geometry changed, refitted together after a short delay
+const pendingRefitIds = new Set();
+let refitTimer = null;
+
+// The box an overlay should cover: the whole object, or a region given as fractions of it
+function getHotspotBox(node, region) {
+  if (!region) {
+    return { x: node.x, y: node.y, width: node.width, height: node.height };
+  }
+  return {
+    x: node.x + region.left * node.width,
+    y: node.y + region.top * node.height,
+    width: region.width * node.width,
+    height: region.height * node.height
+  };
 }
 
-// Handle messages from the UI
-figma.ui.onmessage = async (msg) => {
-  if (msg.type === 'validate-object-selection') {
-    validateSelection();
-  } else if (msg.type === 'add-link') {
-    await addHyperlink(msg.url);
-  } else if (msg.type === 'refresh-links') {
-    await scanAllHyperlinks();
-    await refreshLinksList();
-  } else if (msg.type === 'select-node') {
-    await selectNodeById(msg.nodeId, msg.rightClick || false);
+// Refit a link's text overlay to the current size and position of its object
+// (or of its region of the object). Returns null if the overlay was left as it was,
+// otherwise { coverage } with the percentage of the box a new layout covers (null if
+// the overlay only moved)
+async function refitHotspot(nodeId, linkData) {
+  const node = await figma.getNodeByIdAsync(linkData.regionOf || nodeId);
+  const textNode = linkData.textNodeId ? await figma.getNodeByIdAsync(linkData.textNodeId) : null;
+  // Native links have no overlay to refit
+  if (!node || !textNode || textNode.type !== 'TEXT' || !('width' in node)) {
+    return null;
+  }
+  
+  // Instances follow their main component's overlay
+  if (linkData.componentId) {
+    return null;
+  }
+  
+  // Both placements keep the overlay next to its object (components hold it inside);
+  // anything else needs repair, not refitting
+  const insideComponent = CONTAINER_LINK_TYPES.includes(node.type) && textNode.parent === node;
+  if (node.parent !== textNode.parent && !insideComponent) {
+    return null;
+  }
+  
+  const box = insideComponent
+    ? { x: 0, y: 0, width: node.width, height: node.height }
+    : getHotspotBox(node, linkData.regionOf ? linkData.region : null);
+  const width = box.width;
+  const height = box.height;
+  if (!isFinite(width) || !isFinite(height) || width <= 0 || height <= 0) {
+    return null;
+  }
+  
+  // The spacing is worked out for the box, so any change of size needs a new layout;
+  // so do overlays still filled with characters by earlier versions
+  const resized = Math.abs(textNode.width - width) >= 0.5 || Math.abs(textNode.height - height) >= 0.5;
+  const needsLayout = resized || hasOversizedOverlayText(textNode, width, height);
+  const moved = Math.abs(textNode.x - box.x) >= 0.5 || Math.abs(textNode.y - box.y) >= 0.5;
+  if (!needsLayout && !moved) {
+    return null;
+  }
+  
+  let coverage = null;
+  if (needsLayout) {
+    const hyperlink = getHyperlinkFromTextNode(textNode);
+    const fontName = textNode.getRangeFontName(0, 1);
+    await figma.loadFontAsync(fontName);
+    coverage = await fillHyperlinkText(textNode, width, height, fontName);
+    if (hyperlink) {
+      textNode.setRangeHyperlink(0, textNode.characters.length, hyperlink);
+    }
+  }
+  
+  textNode.resize(width, height);
+  textNode.x = box.x;
+  textNode.y = box.y;
+  return { coverage: coverage };
+}
+
+// Refit every stored link's overlay (for files edited while the plugin was closed)
+async function refitAllHotspots() {
+  const links = await loadLinksFromStorage();
+  let refitted = 0;
+  const coverageResults = [];
+  
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    try {
+      const refit = await refitHotspot(nodeId, linkData);
+      if (refit) {
+        refitted++;
+      }
+      if (refit && refit.coverage !== null) {
+        coverageResults.push({ name: linkData.nodeName || 'Unnamed', coverage: refit.coverage });
+      }
+    } catch (error) {
+      console.error(`Error refitting hotspot for ${linkData.nodeName || 'object'}:`, error);
+    }
+  }
+  
+  // Commit undo checkpoint once, so refitting everything is a single undo step
+  figma.commitUndo();
+  const coverageMessage = describeOverlayCoverage(coverageResults);
+  figma.notify((refitted > 0 ? `Refitted ${refitted} hotspots` : 'All hotspots already fit their objects') +
+    (coverageMessage ? `. ${coverageMessage}` : ''));
+}
+
+// Refit the overlays of objects collected by handleNodeChange
+async function refitPendingHotspots() {
+  refitTimer = null;
+  const ids = Array.from(pendingRefitIds);
+  pendingRefitIds.clear();
+  
+  // Region overlays follow the object they were drawn on
+  const links = await loadLinksFromStorage();
+  const coverageResults = [];
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    if (!linkData || !ids.includes(linkData.regionOf || nodeId)) continue;
+    try {
+      const refit = await refitHotspot(nodeId, linkData);
+      if (refit && refit.coverage !== null) {
+        coverageResults.push({ name: linkData.nodeName || 'Unnamed', coverage: refit.coverage });
+      }
+    } catch (error) {
+      console.error(`Error refitting hotspot for ${linkData.nodeName || 'object'}:`, error);
+    }
+  }
+  
+  // Keep the refit out of the user's next undo step
+  figma.commitUndo();
+  
+  // Only speak up while resizing when part of an object stops being clickable
+  const coverageMessage = describeOverlayCoverage(coverageResults);
+  if (coverageMessage) {
+    figma.notify(coverageMessage);
+  }
+}
+
+// Page whose node changes are watched (only the current page needs to be loaded)
+let watchedPage = null;
+
+// Watch the current page, moving the listener along when the user switches pages
+function watchCurrentPage() {
+  if (watchedPage === figma.currentPage) {
+    return;
+  }
+  if (watchedPage && !watchedPage.removed) {
+    watchedPage.off('nodechange', handleNodeChange);
+  }
+  watchedPage = figma.currentPage;
+  watchedPage.on('nodechange', handleNodeChange);
+  // Instances and layers on the other pages may have changed unseen
+  inheritedInstanceCache.components.clear();
+  linksListStale = true;
+}
+
+// Watch for linked objects being moved or resized in this session
+async function handleNodeChange(event) {
+  const links = await loadLinksFromStorage();
+  const linkedIds = new Set();
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    if (linkData) {
+      linkedIds.add(linkData.regionOf || nodeId);
+    }
+  }
+  
+  for (const change of event.nodeChanges) {
+    // Instances can be added, removed or overridden and layers renamed by anyone
+    invalidateInheritedInstances(change);
+    markLinksListStale(change);
+    
+    // Remote changes are refitted and registered by the session that made them
+    if (change.origin !== 'LOCAL') {
+      continue;
+    }
+    
+    // Duplicated or pasted AnyLink layers arrive with fresh IDs
+    if (change.type === 'CREATE') {
+      collectCreatedOverlays(change.node);
+      continue;
+    }
+    
+    if (change.type !== 'PROPERTY_CHANGE' || !linkedIds.has(change.id)) {
+      continue;
+    }
+    if (change.properties.some(property => GEOMETRY_PROPERTIES.includes(property))) {
+      pendingRefitIds.add(change.id);
+    }
+  }
+  
+  if (pendingRefitIds.size > 0 && !refitTimer) {
+    refitTimer = setTimeout(refitPendingHotspots, 100);
+  }
+  if (pendingCopiedOverlayIds.size > 0 && !copiedOverlayTimer) {
+    copiedOverlayTimer = setTimeout(registerPendingCopies, 100);
+  }
+}
+
+// ============================================================================
+// DUPLICATED LINKS
+// ============================================================================
+
+// Overlays created by duplicating or pasting, registered together after a short delay
+const pendingCopiedOverlayIds = new Set();
+let copiedOverlayTimer = null;
+
+// Overlays this session created itself: their CREATE events aren't copies, and a batch
+// may still be creating links when the events arrive
+const createdOverlayIds = new Set();
+
+// Queue the marked overlays and native links in a newly created subtree (a duplicated
+// group creates the group and each of its layers; a paste may only report the top-level node)
+function collectCreatedOverlays(node) {
+  if (!node || node.removed) {
+    return;
+  }
+  const types = ['TEXT'].concat(NATIVE_LINK_TYPES);
+  const candidates = types.includes(node.type) ? [node]
+    : 'findAllWithCriteria' in node ? node.findAllWithCriteria({ types: types }) : [];
+  for (const textNode of candidates) {
+    if (createdOverlayIds.has(textNode.id)) continue;
+    const marker = getAnyLinkMarker(textNode);
+    const linked = usesNativeHyperlink(textNode) ? marker && marker.role === MARKER_ROLE_NATIVE : isOverlayTextNode(textNode);
+    if (marker && linked && !isInsideInstance(textNode)) {
+      pendingCopiedOverlayIds.add(textNode.id);
+    }
+  }
+}
+
+// Find the object a copied overlay belongs to: the other layer of its AnyLink group, the
+// main component it sits in, or the object it covers (overlay placement). Native links own themselves
+function findCopiedOverlayOwner(textNode) {
+  if (usesNativeHyperlink(textNode)) {
+    return textNode;
+  }
+  const group = getLinkGroup(textNode);
+  if (group) {
+    return group.children.find(child => child.id !== textNode.id && !isOverlayTextNode(child)) || null;
+  }
+  const parent = textNode.parent;
+  if (!parent || !('children' in parent)) {
+    return null;
+  }
+  if (CONTAINER_LINK_TYPES.includes(parent.type) && overlayMatchesGeometry(textNode, { x: 0, y: 0, width: parent.width, height: parent.height })) {
+    return parent;
+  }
+  // A region covers its part of the object
+  const record = getLinkPluginData(textNode);
+  if (record && record.regionOf && record.region) {
+    return parent.children.find(sibling =>
+      sibling.id !== textNode.id && !isOverlayTextNode(sibling) && 'width' in sibling &&
+      overlayMatchesGeometry(textNode, getHotspotBox(sibling, record.region))
+    ) || null;
+  }
+  return findNodeUnderOverlay(textNode);
+}
+
+// Remove the overlay of a copy, ungrouping it once no other overlay is left in its group
+async function clearCopiedOverlay(textNode) {
+  if (usesNativeHyperlink(textNode)) {
+    await clearNativeHyperlink(textNode);
+    return;
+  }
+  const group = getLinkGroup(textNode);
+  textNode.remove();
+  if (group && !group.children.some(child => isOverlayTextNode(child))) {
+    ungroupNode(group);
+  }
+}
+
+// Register a duplicated or pasted overlay as a link of its own (or remove it, following
+// the duplicate rule). Returns 'registered', 'cleared' or null when nothing was done
+async function registerCopiedOverlay(textNode) {
+  const marker = getAnyLinkMarker(textNode);
+  const hyperlink = getHyperlinkFromTextNode(textNode);
+  const owner = findCopiedOverlayOwner(textNode);
+  if (!marker || !hyperlink || !owner) {
+    return null;
+  }
+  
+  // Regions are registered under their overlay, other links under their object
+  const isRegion = marker.role === MARKER_ROLE_REGION;
+  const nodeId = isRegion ? textNode.id : owner.id;
+  const nodeRecord = getLinkPluginData(textNode);
+  const sourceId = isRegion ? (nodeRecord ? nodeRecord.nodeId : null) : marker.nodeId;
+  const links = await loadLinksFromStorage();
+  if (links[nodeId] && links[nodeId].textNodeId === textNode.id) {
+    return null;
+  }
+  // An object that already has an overlay of its own is left to the health check
+  if (!isRegion && links[nodeId]) {
+    return null;
+  }
+  
+  // Restoring a deleted link with undo brings back the original IDs: that's not a copy
+  const duplicateOf = sourceId && sourceId !== nodeId ? sourceId : null;
+  if (duplicateOf && duplicateRule === DUPLICATE_CLEAR) {
+    await clearCopiedOverlay(textNode);
+    return 'cleared';
+  }
+  
+  const regionName = nodeRecord && nodeRecord.regionName ? nodeRecord.regionName : 'Region';
+  const region = isRegion && nodeRecord && nodeRecord.region
+    ? { regionOf: owner.id, bounds: nodeRecord.region, name: regionName }
+    : null;
+  const nodeName = isRegion ? `${owner.name || 'Unnamed'} / ${regionName}` : owner.name || 'Unnamed';
+  await saveLinkToStorage(nodeId, nodeName, textNode.id, getLinkGroupId(textNode), hyperlink, {
+    refresh: false,
+    region: region,
+    duplicateOf: duplicateOf,
+    action: duplicateOf ? HISTORY_DUPLICATED : null
+  });
+  return 'registered';
+}
+
+// Register the overlays collected by handleNodeChange
+async function registerPendingCopies() {
+  copiedOverlayTimer = null;
+  const ids = Array.from(pendingCopiedOverlayIds);
+  pendingCopiedOverlayIds.clear();
+  
+  let registered = 0;
+  let cleared = 0;
+  for (const id of ids) {
+    try {
+      const textNode = await figma.getNodeByIdAsync(id);
+      if (!textNode || !isHyperlinkCarrier(textNode)) continue;
+      const result = await registerCopiedOverlay(textNode);
+      if (result === 'registered') {
+        registered++;
+      } else if (result === 'cleared') {
+        cleared++;
+      }
+    } catch (error) {
+      console.error('Error registering duplicated link:', error);
+    }
+  }
+  
+  if (registered + cleared === 0) {
+    return;
+  }
+  // Commit undo checkpoint once for all copies
+  figma.commitUndo();
+  await refreshLinksList();
+  if (registered > 0) {
+    figma.notify(`Registered ${registered} duplicated links`);
+  }
+  if (cleared > 0) {
+    figma.notify(`Removed the link from ${cleared} copies`);
+  }
+}
+
+// ============================================================================
+// REGION HOTSPOTS
+// ============================================================================
+
+// Default names Figma gives to drawn shapes; such regions are numbered instead
+const DEFAULT_REGION_NAME_PATTERN = /^(Rectangle|Frame|Ellipse)( \d+)?$/;
+
+// Split the selection into the object to link and the rectangles marking its regions
+// The largest selected node is the object; a selected AnyLink group stands for its object
+async function getRegionSelection() {
+  const links = await loadLinksFromStorage();
+  const selection = figma.currentPage.selection;
+  let base = null;
+  let baseArea = -1;
+  
+  for (const node of selection) {
+    if (!('width' in node)) continue;
+    const area = node.width * node.height;
+    if (area > baseArea) {
+      base = node;
+      baseArea = area;
+    }
+  }
+  if (!base) {
+    return { node: null, regions: [] };
+  }
+  
+  const regions = selection.filter(node => node !== base && node.type === 'RECTANGLE');
+  const originalId = findOriginalNodeId(base, links);
+  if (originalId) {
+    base = await figma.getNodeByIdAsync(originalId);
+  }
+  return { node: base, regions: regions };
+}
+
+// The part of an object a rectangle covers, as fractions of the object's size
+// Returns null when the rectangle doesn't overlap the object
+function getRegionBounds(node, rect) {
+  const outer = node.absoluteBoundingBox;
+  const inner = rect.absoluteBoundingBox;
+  if (!outer || !inner || outer.width <= 0 || outer.height <= 0) {
+    return null;
+  }
+  const left = Math.max(outer.x, inner.x);
+  const top = Math.max(outer.y, inner.y);
+  const right = Math.min(outer.x + outer.width, inner.x + inner.width);
+  const bottom = Math.min(outer.y + outer.height, inner.y + inner.height);
+  if (right - left < 1 || bottom - top < 1) {
+    return null;
+  }
+  return {
+    left: (left - outer.x) / outer.width,
+    top: (top - outer.y) / outer.height,
+    width: (right - left) / outer.width,
+    height: (bottom - top) / outer.height
+  };
+}
+
+// Name a region after its rectangle, or number it when the rectangle has a default name
+function getRegionName(rect, index) {
+  return rect.name && !DEFAULT_REGION_NAME_PATTERN.test(rect.name) ? rect.name : `Region ${index + 1}`;
+}
+
+// Send the object and region rectangles of the current selection to the UI
+async function sendRegionCandidates() {
+  const { node, regions } = await getRegionSelection();
+  let error = null;
+  if (!node) {
+    error = 'Select an object and the rectangles drawn over it';
+  } else if (regions.length === 0) {
+    error = 'Draw rectangles over the object and select them together with it';
+  } else if (regions.some(rect => !getRegionBounds(node, rect))) {
+    error = 'Every rectangle must overlap the object';
+  }
+  
+  figma.ui.postMessage({
+    type: 'region-candidates',
+    node: node ? { id: node.id, name: node.name || 'Unnamed' } : null,
+    regions: regions.map((rect, index) => ({ id: rect.id, name: getRegionName(rect, index) })),
+    error: error
+  });
+}
+
+// Turn the selected rectangles into hotspots of their own on the selected object
+// regions is a list of { id, url } for the rectangles, in selection order; the rectangles
+// stay unless { removeRectangles: true } is passed
+async function createRegionLinks(nodeId, regions, options = {}) {
+  const { removeRectangles = false } = options;
+  try {
+    const node = await figma.getNodeByIdAsync(nodeId);
+    if (!node || !node.parent || !('width' in node)) {
+      figma.notify('The object for these regions no longer exists');
+      return;
+    }
+    
+    // Check every rectangle and URL before changing anything
+    const planned = [];
+    for (let i = 0; i < regions.length; i++) {
+      const rect = await figma.getNodeByIdAsync(regions[i].id);
+      const bounds = rect ? getRegionBounds(node, rect) : null;
+      if (!bounds) {
+        figma.notify('Every rectangle must overlap the object');
+        return;
+      }
+      const name = getRegionName(rect, i);
+      const parsed = parseUrl(regions[i].url);
+      if (!parsed.url) {
+        figma.notify(`${name}: ${parsed.error}`);
+        return;
+      }
+      planned.push({ rect: rect, bounds: bounds, name: name, url: parsed.url });
+    }
+    if (planned.length === 0) {
+      figma.notify('No regions selected');
+      return;
+    }
+    
+    const overlays = [];
+    const coverageResults = [];
+    for (const region of planned) {
+      const box = getHotspotBox(node, region.bounds);
+      const hyperlink = { type: 'URL', value: region.url };
+      const { textNode, coverage } = await createOverlayText(node.parent, box.x, box.y, box.width, box.height, hyperlink);
+      textNode.name = ANYLINK_NAME_PREFIX + node.name + ' / ' + region.name;
+      overlays.push(textNode);
+      coverageResults.push({ name: `${node.name || 'Unnamed'} / ${region.name}`, coverage: coverage });
+    }
+    
+    // Regions live next to the object like its main overlay: in its AnyLink group,
+    // above it in the same parent, or in a new group
+    let group = isAnyLinkGroup(node.parent) ? node.parent : null;
+    if (group || getEffectivePlacement() === PLACEMENT_OVERLAY) {
+      for (let i = overlays.length - 1; i >= 0; i--) {
+        const box = getHotspotBox(node, planned[i].bounds);
+        insertOverlayAboveNode(node, overlays[i], box.x, box.y);
+      }
+    } else {
+      const originalParent = node.parent;
+      group = figma.group([node].concat(overlays), originalParent, originalParent.children.indexOf(node));
+      group.name = ANYLINK_NAME_PREFIX + node.name;
+    }
+    
+    // The rectangles only marked the regions, but they are the user's layers: only
+    // delete them when asked to
+    if (removeRectangles) {
+      for (const region of planned) {
+        if (region.rect.parent) {
+          region.rect.remove();
+        }
+      }
+    }
+    
+    for (let i = 0; i < overlays.length; i++) {
+      const region = planned[i];
+      await saveLinkToStorage(overlays[i].id, `${node.name || 'Unnamed'} / ${region.name}`, overlays[i].id,
+        group ? group.id : null, { type: 'URL', value: region.url },
+        { refresh: false, region: { regionOf: node.id, bounds: region.bounds, name: region.name } });
+    }
+    
+    // Commit undo checkpoint once, so all regions form a single undo step
+    figma.commitUndo();
+    await refreshLinksList();
+    figma.currentPage.selection = [node];
+    const coverageMessage = describeOverlayCoverage(coverageResults);
+    figma.notify(`Created ${overlays.length} region links on ${node.name || 'object'}` +
+      (removeRectangles ? ` and deleted the ${planned.length} rectangles` : '') +
+      (coverageMessage ? `. ${coverageMessage}` : ''));
+  } catch (error) {
+    console.error('Error creating region links:', error);
+    figma.notify('Error creating region links: ' + error.message);
+  }
+}
+
+// ============================================================================
+// COMPONENT LINKS
+// ============================================================================
+
+// How an instance relates to the link of its main component
+const INSTANCE_INHERITED = 'inherited';
+const INSTANCE_OVERRIDDEN = 'overridden';
+const INSTANCE_OPTED_OUT = 'opted-out';
+
+// Check if a node sits inside an instance, where layers can't be added or regrouped
+function isInsideInstance(node) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'INSTANCE') {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Find the copy of the main component's overlay inside an instance
+// Returns { main, record, overlay } or null when the main component isn't linked
+async function getInstanceLinkOverlay(instance, links) {
+  const main = await instance.getMainComponentAsync();
+  const record = main ? links[main.id] : null;
+  if (!record || !record.textNodeId) {
+    return null;
+  }
+  // Instance sublayer IDs end with the ID of the layer they were copied from
+  const overlay = instance.children.find(child =>
+    child.type === 'TEXT' && child.id.endsWith(';' + record.textNodeId)
+  );
+  return overlay ? { main: main, record: record, overlay: overlay } : null;
+}
+
+// The main component whose overlay an instance is linked through, or null
+async function getInheritedComponentId(node, textNodeId) {
+  if (!node || node.type !== 'INSTANCE' || !textNodeId) {
+    return null;
+  }
+  const textNode = await figma.getNodeByIdAsync(textNodeId);
+  if (!textNode || textNode.parent !== node) {
+    return null;
+  }
+  const main = await node.getMainComponentAsync();
+  return main ? main.id : null;
+}
+
+// Whether an instance's overlay still follows its main component, overrides the target or is hidden
+function getInstanceLinkState(overlay, record) {
+  if (overlay.visible === false) {
+    return INSTANCE_OPTED_OUT;
+  }
+  const hyperlink = getHyperlinkFromTextNode(overlay);
+  const fields = hyperlink ? getRecordFieldsFromHyperlink(hyperlink) : null;
+  const inherited = fields !== null && fields.targetType === (record.targetType || 'URL') &&
+    fields.url === (record.url || null) && fields.targetNodeId === (record.targetNodeId || null);
+  return inherited ? INSTANCE_INHERITED : INSTANCE_OVERRIDDEN;
+}
+
+// Hide the inherited overlay of an instance, keeping a record so the table shows it opted out
+async function optOutInstanceLink(instance, options = {}) {
+  const { notify = true } = options;
+  const links = await loadLinksFromStorage();
+  const inherited = await getInstanceLinkOverlay(instance, links);
+  if (!inherited) {
+    if (notify) {
+      figma.notify('Link not found in storage');
+    }
+    return false;
+  }
+  
+  const previous = links[instance.id] || inherited.record;
+  inherited.overlay.visible = false;
+  const hyperlink = getHyperlinkFromTextNode(inherited.overlay);
+  await saveLinkToStorage(instance.id, instance.name || 'Unnamed', inherited.overlay.id, null, hyperlink,
+    { refresh: false, history: false });
+  await appendLinkHistory(instance.id, HISTORY_REMOVED, previous, null);
+  
+  figma.commitUndo();
+  if (notify) {
+    figma.notify(`${instance.name || 'Instance'} no longer uses the link of ${inherited.main.name}`);
+  }
+  return true;
+}
+
+// Drop an instance's override or opt-out so it follows its main component's link again
+async function resetInstanceLink(instanceId) {
+  try {
+    const instance = await figma.getNodeByIdAsync(instanceId);
+    const links = await loadLinksFromStorage();
+    const inherited = instance && instance.type === 'INSTANCE' ? await getInstanceLinkOverlay(instance, links) : null;
+    if (!inherited) {
+      figma.notify('The main component of this instance is no longer linked');
+      return;
+    }
+    
+    const mainOverlay = await figma.getNodeByIdAsync(inherited.record.textNodeId);
+    const hyperlink = mainOverlay ? getHyperlinkFromTextNode(mainOverlay) : null;
+    inherited.overlay.visible = true;
+    if (hyperlink) {
+      await updateHyperlink(inherited.overlay, hyperlink);
+    }
+    
+    const previous = links[instance.id] || null;
+    setLinkPluginData(instance, null);
+    setLinkRelaunchData(instance, null);
+    await removeLinkFromStorage(instance.id);
+    await appendLinkHistory(instance.id, HISTORY_REVERTED, previous, inherited.record);
+    
+    figma.commitUndo();
+    await refreshLinksList();
+    figma.notify(`${instance.name || 'Instance'} uses the link of ${inherited.main.name} again`);
+  } catch (error) {
+    console.error('Error resetting instance link:', error);
+    figma.notify('Error resetting instance link: ' + error.message);
+  }
+}
+
+// Instances listed under each linked main component ({ data, components: componentId ->
+// [{ instance, overlay }] }), kept until the registry changes or an instance is edited
+let inheritedInstanceCache = { data: null, components: new Map() };
+
+// Forget the cached instances when a change may add, remove or override an inherited link
+function invalidateInheritedInstances(change) {
+  if (change.type === 'CREATE' || change.type === 'DELETE' ||
+      (change.type === 'PROPERTY_CHANGE' && change.node && !change.node.removed &&
+        (change.node.type === 'INSTANCE' || isInsideInstance(change.node)))) {
+    inheritedInstanceCache.components.clear();
+  }
+}
+
+// Instances of a linked main component inheriting its link, looked up once per registry
+async function getInheritedInstances(component, links) {
+  const { data } = await getLinkIndex();
+  if (inheritedInstanceCache.data !== data) {
+    inheritedInstanceCache = { data: data, components: new Map() };
+  }
+  let instances = inheritedInstanceCache.components.get(component.id);
+  if (!instances) {
+    instances = [];
+    for (const instance of await component.getInstancesAsync()) {
+      if (links[instance.id]) continue;
+      const inherited = await getInstanceLinkOverlay(instance, links);
+      if (inherited) {
+        instances.push({ instance: instance, overlay: inherited.overlay });
+      }
+    }
+    inheritedInstanceCache.components.set(component.id, instances);
+  }
+  return instances.filter(entry => !entry.instance.removed && !entry.overlay.removed);
+}
+
+// Table rows for the instances of a linked main component that have no record of their own
+async function getInheritedInstanceRows(component, record, links, slideLabels) {
+  const rows = [];
+  for (const { instance, overlay } of await getInheritedInstances(component, links)) {
+    const page = getPageFromNode(instance);
+    rows.push({
+      nodeId: instance.id,
+      nodeName: instance.name || 'Unnamed',
+      textNodeId: overlay.id,
+      pageName: getLinkContainerName(instance, slideLabels) || (page ? page.name : null),
+      componentId: component.id,
+      inheritance: getInstanceLinkState(overlay, record)
+    });
+  }
+  return rows;
+}
+
+// ============================================================================
+// INTERNAL LINK TARGETS
+// ============================================================================
+
+// Node types offered as internal link targets (besides pages)
+const LINK_TARGET_TYPES = ['FRAME', 'SECTION', 'COMPONENT', 'COMPONENT_SET'];
+
+// Pending "pick target on canvas" operation (null when idle)
+let targetPick = null;
+
+// Describe an internal link target for the UI, or null if it no longer exists
+async function describeLinkTarget(targetNodeId) {
+  if (!targetNodeId) {
+    return null;
+  }
+  try {
+    const target = await figma.getNodeByIdAsync(targetNodeId);
+    if (!target || target.type === 'DOCUMENT') {
+      return null;
+    }
+    const page = getPageFromNode(target);
+    return {
+      id: target.id,
+      name: target.name || 'Unnamed',
+      type: target.type,
+      pageName: page ? page.name : null
+    };
+  } catch (e) {
+    // Target might have been deleted
+    return null;
+  }
+}
+
+// Send the list of pages and frames that can be linked to
+async function sendLinkTargets() {
+  const targets = [];
+  
+  // Collect top-level frames, including those nested in sections
+  function collectTargets(parent, page) {
+    for (const child of parent.children) {
+      if (!LINK_TARGET_TYPES.includes(child.type)) {
+        continue;
+      }
+      targets.push({ id: child.id, name: child.name || 'Unnamed', type: child.type, pageName: page.name });
+      if (child.type === 'SECTION') {
+        collectTargets(child, page);
+      }
+    }
+  }
+  
+  for (const page of figma.root.children) {
+    if (page.type !== 'PAGE') continue;
+    targets.push({ id: page.id, name: page.name, type: 'PAGE', pageName: page.name });
+    try {
+      await page.loadAsync();
+      collectTargets(page, page);
+    } catch (e) {
+      // Page might not be accessible, continue to next page
+      continue;
+    }
+  }
+  
+  figma.ui.postMessage({
+    type: 'link-targets',
+    targets: targets
+  });
+}
+
+// Start picking an internal link target on canvas: the next selected object
+// becomes the target, then the objects being linked are selected again
+function startTargetPick() {
+  const selection = figma.currentPage.selection;
+  if (selection.length === 0) {
+    figma.notify('Please select an object to add a hyperlink');
+    return;
+  }
+  
+  targetPick = {
+    sourceIds: selection.map(node => node.id),
+    pageId: figma.currentPage.id
+  };
+  figma.notify('Select the frame or layer to link to');
+}
+
+// Cancel a pending canvas pick
+function cancelTargetPick() {
+  targetPick = null;
+}
+
+// Complete a canvas pick once a new object is selected
+async function handleTargetPick() {
+  const selection = figma.currentPage.selection;
+  
+  // Wait until exactly one object other than the objects being linked is selected
+  if (selection.length !== 1 || targetPick.sourceIds.includes(selection[0].id)) {
+    return;
+  }
+  
+  const pick = targetPick;
+  targetPick = null;
+  
+  figma.ui.postMessage({
+    type: 'target-picked',
+    target: await describeLinkTarget(selection[0].id)
+  });
+  
+  // Restore the objects being linked as the selection
+  const sourcePage = await figma.getNodeByIdAsync(pick.pageId);
+  if (sourcePage && sourcePage.type === 'PAGE' && sourcePage !== figma.currentPage) {
+    await figma.setCurrentPageAsync(sourcePage);
+  }
+  const sourceNodes = [];
+  for (const id of pick.sourceIds) {
+    const node = await figma.getNodeByIdAsync(id);
+    if (node && getPageFromNode(node) === figma.currentPage) {
+      sourceNodes.push(node);
+    }
+  }
+  figma.currentPage.selection = sourceNodes;
+}
+
+// ============================================================================
+// BULK IMPORT
+// ============================================================================
+
+// Separator between segments of a layer path: "Page / Frame / Layer"
+const LAYER_PATH_SEPARATOR = '/';
+
+// Node IDs look like "12:34" (instance sublayers: "I12:34;56:78")
+const NODE_ID_PATTERN = /^I?\d+:\d+(;\d+:\d+)*$/;
+
+// Get a readable layer path for a node, skipping AnyLink groups
+function getNodePath(node) {
+  const segments = [];
+  let current = node;
+  while (current && current.type !== 'DOCUMENT') {
+    if (!(current.type === 'GROUP' && isAnyLinkGroupOrTextNode(current, {}))) {
+      segments.unshift(current.name);
+    }
+    current = current.parent;
+  }
+  return segments.join(' ' + LAYER_PATH_SEPARATOR + ' ');
+}
+
+// Children of a node, looking through AnyLink groups so paths match the original layers
+function getPathChildren(node) {
+  const children = [];
+  if (!('children' in node)) {
+    return children;
+  }
+  for (const child of node.children) {
+    if (child.type === 'GROUP' && isAnyLinkGroupOrTextNode(child, {})) {
+      for (const grandChild of child.children) {
+        if (!isAnyLinkGroupOrTextNode(grandChild, {})) {
+          children.push(grandChild);
+        }
+      }
+    } else if (!isAnyLinkGroupOrTextNode(child, {})) {
+      children.push(child);
+    }
+  }
+  return children;
+}
+
+// Find nodes matching a layer path: segments are matched against direct children
+// first, then against any descendant, so intermediate groups can be left out.
+// The first segment may name a page; otherwise all pages are searched.
+function findNodesByPath(path) {
+  const segments = path.split(LAYER_PATH_SEPARATOR).map(segment => segment.trim()).filter(Boolean);
+  if (segments.length === 0) {
+    return [];
+  }
+  
+  const pages = figma.root.children.filter(page => page.type === 'PAGE');
+  let candidates = pages.filter(page => page.name === segments[0]);
+  if (candidates.length > 0) {
+    segments.shift();
+  } else {
+    candidates = pages;
+  }
+  
+  // A path that only names a page doesn't point to a linkable object
+  if (segments.length === 0) {
+    return [];
+  }
+  
+  for (const segment of segments) {
+    const nextCandidates = [];
+    for (const candidate of candidates) {
+      let matches = getPathChildren(candidate).filter(child => child.name === segment);
+      if (matches.length === 0 && 'findAll' in candidate) {
+        matches = candidate.findAll(child => child.name === segment && !isAnyLinkGroupOrTextNode(child, {}));
+      }
+      for (const match of matches) {
+        if (!nextCandidates.includes(match)) {
+          nextCandidates.push(match);
+        }
+      }
+    }
+    candidates = nextCandidates;
+    if (candidates.length === 0) {
+      break;
+    }
+  }
+  
+  return candidates;
+}
+
+// Describe a node that an import row could link, for the preview
+async function describeImportCandidate(node, links) {
+  const existingLink = await findExistingHyperlink(node);
+  const existingHyperlink = existingLink ? getHyperlinkFromTextNode(existingLink) : null;
+  const page = getPageFromNode(node);
+  return {
+    id: node.id,
+    name: node.name || 'Unnamed',
+    path: getNodePath(node),
+    pageName: page ? page.name : null,
+    existingUrl: existingHyperlink && existingHyperlink.type === 'URL' ? existingHyperlink.value : null,
+    hasLink: !!existingLink || !!links[node.id]
+  };
+}
+
+// Resolve imported rows ({ path, nodeId, url }) to nodes and send a preview to the UI
+// Each row is classified as 'match', 'ambiguous', 'missing' or 'invalid' (bad URL)
+async function previewImport(rows) {
+  try {
+    // Paths can point anywhere in the document (required for dynamic-page documentAccess)
+    await figma.loadAllPagesAsync();
+    const links = await loadLinksFromStorage();
+    const results = [];
+    
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const reference = (row.nodeId || row.path || '').trim();
+      const url = normalizeUrl(row.url);
+      const result = { row: i + 1, reference: reference, url: url || row.url || '', status: 'missing', candidates: [] };
+      results.push(result);
+      
+      if (!url) {
+        result.status = 'invalid';
+        continue;
+      }
+      
+      let nodes = [];
+      if (NODE_ID_PATTERN.test(reference)) {
+        const node = await figma.getNodeByIdAsync(reference);
+        if (node && node.type !== 'PAGE' && node.type !== 'DOCUMENT') {
+          nodes = [node];
+        }
+      } else if (reference) {
+        nodes = findNodesByPath(reference);
+      }
+      
+      // Selecting an AnyLink group or text node links its original object
+      const resolved = [];
+      for (const node of nodes) {
+        const originalNodeId = findOriginalNodeId(node, links);
+        const target = originalNodeId ? await figma.getNodeByIdAsync(originalNodeId) : node;
+        if (target && !resolved.includes(target)) {
+          resolved.push(target);
+        }
+      }
+      
+      for (const node of resolved) {
+        result.candidates.push(await describeImportCandidate(node, links));
+      }
+      if (resolved.length === 1) {
+        result.status = 'match';
+      } else if (resolved.length > 1) {
+        result.status = 'ambiguous';
+      }
+      
+      if (i % SCAN_CHUNK_SIZE === 0) {
+        await yieldToEditor();
+      }
+    }
+    
+    figma.ui.postMessage({
+      type: 'import-preview',
+      results: results
+    });
+  } catch (error) {
+    figma.notify(`Error previewing import: ${error.message}`);
+    console.error('Error in previewImport:', error);
+  }
+}
+
+// Create or update links for confirmed import rows ({ nodeId, url }) in one batch
+async function applyImport(items) {
+  let created = 0;
+  let updated = 0;
+  let failed = 0;
+  const coverageResults = [];
+  
+  for (const item of items) {
+    const url = normalizeUrl(item.url);
+    const node = item.nodeId ? await figma.getNodeByIdAsync(item.nodeId) : null;
+    if (!url || !node) {
+      failed++;
+      continue;
+    }
+    
+    try {
+      const { action, coverage } = await applyHyperlinkToNode(node, { type: 'URL', value: url }, { refresh: false });
+      if (coverage !== null) {
+        coverageResults.push({ name: node.name || 'Unnamed', coverage: coverage });
+      }
+      if (action === 'created') {
+        created++;
+      } else {
+        updated++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`Error importing link for ${node.name || 'object'}:`, error);
+    }
+  }
+  
+  // Commit undo checkpoint once, so the whole import is a single undo step
+  figma.commitUndo();
+  await refreshLinksList();
+  
+  figma.ui.postMessage({
+    type: 'import-complete',
+    created: created,
+    updated: updated,
+    failed: failed
+  });
+  const coverageMessage = describeOverlayCoverage(coverageResults);
+  figma.notify(`Import complete: ${created} added, ${updated} updated${failed ? `, ${failed} failed` : ''}` +
+    (coverageMessage ? `. ${coverageMessage}` : ''));
+}
+
+// ============================================================================
+// URL TEMPLATES
+// ============================================================================
+
+// Placeholders available in URL templates, e.g.
+// https://docs.example.com/components/{{slug}}
+// Names are URL-encoded; {{slug}} is a lowercase, dash-separated version of the
+// layer name and {{index}} is the 1-based position in the selection
+const URL_TEMPLATE_PLACEHOLDERS = ['nodeName', 'slug', 'pageName', 'parentName', 'index'];
+const URL_TEMPLATE_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+// Check whether a URL contains template placeholders (with the same pattern that resolves
+// them, so any placeholder that isn't supported is reported)
+function isUrlTemplate(url) {
+  return typeof url === 'string' && new RegExp(URL_TEMPLATE_PATTERN.source).test(url);
+}
+
+// List placeholders in a template that aren't supported
+function getUnknownTemplatePlaceholders(template) {
+  const unknown = [];
+  for (const match of template.matchAll(URL_TEMPLATE_PATTERN)) {
+    if (!URL_TEMPLATE_PLACEHOLDERS.includes(match[1]) && !unknown.includes(match[0])) {
+      unknown.push(match[0]);
+    }
+  }
+  return unknown;
+}
+
+// Convert a layer name to a URL slug: "Primary Button / Large" -> "primary-button-large"
+function slugify(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Get the parent a designer sees for a node, looking through the AnyLink group
+function getVisibleParent(node) {
+  let parent = node.parent;
+  if (parent && parent.type === 'GROUP' && isAnyLinkGroupOrTextNode(parent, {})) {
+    parent = parent.parent;
+  }
+  return parent;
+}
+
+// Resolve a URL template for one node of the selection
+function resolveUrlTemplate(template, node, index) {
+  const page = getPageFromNode(node);
+  const parent = getVisibleParent(node);
+  const values = {
+    nodeName: encodeURIComponent(node.name || ''),
+    slug: slugify(node.name),
+    pageName: encodeURIComponent(page ? page.name : ''),
+    parentName: encodeURIComponent(parent && parent.type !== 'PAGE' ? parent.name : ''),
+    index: String(index + 1)
+  };
+  return template.trim().replace(URL_TEMPLATE_PATTERN, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  );
+}
+
+// Send the resolved URLs of a template for the current selection to the UI
+async function previewUrlTemplate(template) {
+  const unknown = getUnknownTemplatePlaceholders(template);
+  const nodesToUpdate = await getSelectedNodesToLink();
+  const items = nodesToUpdate.map((node, index) => {
+    const resolved = parseUrl(resolveUrlTemplate(template, node, index));
+    return {
+      nodeName: node.name || 'Unnamed',
+      url: resolved.url,
+      error: resolved.error
+    };
+  });
+  
+  figma.ui.postMessage({
+    type: 'template-preview',
+    template: template,
+    items: items,
+    error: unknown.length > 0 ? `Unknown placeholder: ${unknown.join(', ')}` : null
+  });
+}
+
+// ============================================================================
+// FIND & REPLACE
+// ============================================================================
+
+// Escape a string for use as a literal in a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build the pattern for a find/replace request (throws on an invalid regex)
+function buildReplacePattern(find, useRegex, caseSensitive) {
+  const flags = caseSensitive ? 'g' : 'gi';
+  return new RegExp(useRegex ? find : escapeRegExp(find), flags);
+}
+
+// Send a preview of a find/replace over all stored URL links: one entry per link
+// whose URL would change, with the URL before and after
+async function previewReplace(find, replace, useRegex, caseSensitive) {
+  if (!find) {
+    figma.ui.postMessage({ type: 'replace-preview', changes: [], error: 'Enter the text to find' });
+    return;
+  }
+  
+  let pattern;
+  try {
+    pattern = buildReplacePattern(find, useRegex, caseSensitive);
+  } catch (error) {
+    figma.ui.postMessage({ type: 'replace-preview', changes: [], error: `Invalid regular expression: ${error.message}` });
+    return;
+  }
+  
+  const links = await loadLinksFromStorage();
+  const changes = [];
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    // Internal links have no URL to rewrite
+    if (!linkData || (linkData.targetType || 'URL') !== 'URL' || !linkData.url) continue;
+    
+    // Plain text replacements are literal: "$" has no special meaning
+    const after = useRegex
+      ? linkData.url.replace(pattern, replace || '')
+      : linkData.url.replace(pattern, () => replace || '');
+    if (after !== linkData.url) {
+      changes.push({
+        nodeId: nodeId,
+        nodeName: linkData.nodeName || 'Unnamed',
+        pageName: linkData.pageName || null,
+        before: linkData.url,
+        after: after
+      });
+    }
+  }
+  
+  figma.ui.postMessage({ type: 'replace-preview', changes: changes, error: null });
+}
+
+// Apply confirmed find/replace changes ({ nodeId, url }) as a single undo step
+async function applyReplace(changes) {
+  const links = await loadLinksFromStorage();
+  let updated = 0;
+  let failed = 0;
+  
+  for (const change of changes) {
+    const linkData = links[change.nodeId];
+    const url = normalizeUrl(change.url);
+    const textNode = linkData && linkData.textNodeId
+      ? await figma.getNodeByIdAsync(linkData.textNodeId)
+      : null;
+    if (!url || !textNode || !isHyperlinkCarrier(textNode)) {
+      failed++;
+      continue;
+    }
+    
+    try {
+      const hyperlink = { type: 'URL', value: url };
+      await updateHyperlink(textNode, hyperlink);
+      const groupId = getLinkGroupId(textNode);
+      await saveLinkToStorage(change.nodeId, linkData.nodeName || 'Unnamed', textNode.id, groupId, hyperlink, { refresh: false });
+      updated++;
+    } catch (error) {
+      failed++;
+      console.error(`Error replacing link for ${linkData.nodeName || 'object'}:`, error);
+    }
+  }
+  
+  // Commit undo checkpoint once, so the whole replace is a single undo step
+  figma.commitUndo();
+  await refreshLinksList();
+  
+  figma.ui.postMessage({ type: 'replace-complete', updated: updated, failed: failed });
+  figma.notify(`Updated ${updated} links${failed ? `, ${failed} failed` : ''}`);
+}
+
+// ============================================================================
+// LINK CLIPBOARD
+// ============================================================================
+
+// The last copied link definition (per user, so it can be pasted into other files)
+const LINK_CLIPBOARD_STORAGE_KEY = 'anylink_link_clipboard';
+
+// Load the copied link definition, or null if nothing was copied yet
+async function loadLinkClipboard() {
+  try {
+    return (await figma.clientStorage.getAsync(LINK_CLIPBOARD_STORAGE_KEY)) || null;
+  } catch (error) {
+    console.error('Error loading link clipboard:', error);
+    return null;
+  }
+}
+
+// Tell the UI what can be pasted
+async function postLinkClipboard() {
+  figma.ui.postMessage({ type: 'link-clipboard', definition: await loadLinkClipboard() });
+}
+
+// Describe the link of a linked object (or of one of its AnyLink layers) for the
+// clipboard, or null if it has none
+async function getLinkDefinition(node) {
+  const links = await loadLinksFromStorage();
+  const originalId = links[node.id] ? null : findOriginalNodeId(node, links);
+  const source = originalId ? await figma.getNodeByIdAsync(originalId) : node;
+  const overlay = source ? await findExistingHyperlink(source) : null;
+  const hyperlink = overlay ? getHyperlinkFromTextNode(overlay) : null;
+  if (!hyperlink) {
+    return null;
+  }
+  
+  // Internal targets are described too, since their IDs only mean something in this file
+  const fields = getRecordFieldsFromHyperlink(hyperlink);
+  const target = fields.targetType === 'NODE' ? await describeLinkTarget(fields.targetNodeId) : null;
+  const record = links[source.id] || null;
+  return Object.assign(fields, {
+    targetName: target ? target.name : null,
+    sourceName: (record && record.nodeName) || source.name || 'Unnamed',
+    fileName: figma.root.name,
+    copiedAt: Date.now()
+  });
+}
+
+// Put a link definition on the clipboard; returns a summary
+async function copyLinkDefinition(definition) {
+  await figma.clientStorage.setAsync(LINK_CLIPBOARD_STORAGE_KEY, definition);
+  await postLinkClipboard();
+  return `Copied the link of ${definition.sourceName}`;
+}
+
+// Copy the link of one object (a row of the links table)
+async function copyLinkFromNode(node) {
+  const definition = await getLinkDefinition(node);
+  return definition ? await copyLinkDefinition(definition) : `${node.name || 'This object'} has no link to copy`;
+}
+
+// Copy the link of the first selected object that has one
+async function copyLinkFromSelection() {
+  const selection = figma.currentPage.selection;
+  if (selection.length === 0) {
+    return 'Select a linked object to copy its link';
+  }
+  for (const node of selection) {
+    const definition = await getLinkDefinition(node);
+    if (definition) {
+      return await copyLinkDefinition(definition);
+    }
+  }
+  return 'No links found in the selection';
+}
+
+// Apply the copied link to every selected object, updating objects that already have a link
+// All objects change in a single undo step; returns a summary
+async function pasteLinkToSelection() {
+  const definition = await loadLinkClipboard();
+  if (!definition) {
+    return 'Copy a link first';
+  }
+  if (figma.currentPage.selection.length === 0) {
+    return 'Select the objects to paste the link onto';
+  }
+  
+  let hyperlink;
+  if (definition.targetType === 'NODE') {
+    const target = await figma.getNodeByIdAsync(definition.targetNodeId);
+    if (!target || target.type === 'DOCUMENT') {
+      return `The copied link points to ${definition.targetName || 'a frame'} in "${definition.fileName}", which isn't in this file`;
+    }
+    hyperlink = { type: 'NODE', value: target.id };
+  } else {
+    // Allowed schemes are a per-user setting and may have changed since copying
+    const parsed = parseUrl(definition.url);
+    if (!parsed.url) {
+      return parsed.error;
+    }
+    hyperlink = { type: 'URL', value: parsed.url };
+  }
+  
+  const nodesToUpdate = await getSelectedNodesToLink();
+  let created = 0;
+  let updated = 0;
+  const failed = [];
+  const coverageResults = [];
+  for (const node of nodesToUpdate) {
+    // An object can't link to itself
+    if (hyperlink.type === 'NODE' && hyperlink.value === node.id) {
+      failed.push(node.name || 'Unnamed');
+      continue;
+    }
+    try {
+      const { action, coverage } = await applyHyperlinkToNode(node, hyperlink, { refresh: false });
+      if (coverage !== null) {
+        coverageResults.push({ name: node.name || 'Unnamed', coverage: coverage });
+      }
+      if (action === 'updated') {
+        updated++;
+      } else {
+        created++;
+      }
+    } catch (error) {
+      console.error(`Error pasting link onto ${node.name || 'object'}:`, error);
+      failed.push(node.name || 'Unnamed');
+    }
+  }
+  
+  // Commit undo checkpoint once, so pasting onto many objects is a single undo step
+  figma.commitUndo();
+  await refreshLinksList();
+  
+  let summary = `Pasted the link onto ${created + updated} objects`;
+  if (updated > 0) {
+    summary += ` (${updated} updated)`;
+  }
+  if (failed.length > 0) {
+    summary += `; could not link ${failed.join(', ')}`;
+  }
+  const coverageMessage = describeOverlayCoverage(coverageResults);
+  if (coverageMessage) {
+    summary += `. ${coverageMessage}`;
+  }
+  return summary;
+}
+
+// ============================================================================
+// LINK HISTORY
+// ============================================================================
+
+// Send a link's history to the UI, newest entry first
+async function sendLinkHistory(nodeId) {
+  const links = await loadLinksFromStorage();
+  const entries = loadLinkHistory(nodeId);
+  
+  // Internal link targets are shown by name
+  const describe = async targetNodeId => {
+    const target = targetNodeId ? await describeLinkTarget(targetNodeId) : null;
+    return target ? target.name : null;
+  };
+  const items = [];
+  for (let index = entries.length - 1; index >= 0; index--) {
+    const entry = entries[index];
+    items.push(Object.assign({}, entry, {
+      index: index,
+      previousTargetName: await describe(entry.previousTargetNodeId),
+      targetName: await describe(entry.targetNodeId)
+    }));
+  }
+  
+  figma.ui.postMessage({
+    type: 'link-history',
+    nodeId: nodeId,
+    nodeName: links[nodeId] ? links[nodeId].nodeName : null,
+    entries: items
+  });
+}
+
+// Point a link back at the target recorded by one of its history entries
+async function revertLink(nodeId, entryIndex) {
+  try {
+    const links = await loadLinksFromStorage();
+    const linkData = links[nodeId];
+    const entry = loadLinkHistory(nodeId)[entryIndex];
+    if (!linkData || !entry || entry.action === HISTORY_REMOVED) {
+      figma.notify('This version can no longer be restored');
+      return;
+    }
+    
+    const textNode = linkData.textNodeId ? await figma.getNodeByIdAsync(linkData.textNodeId) : null;
+    if (!textNode || !isHyperlinkCarrier(textNode)) {
+      figma.notify('Link object not found. It may have been deleted.');
+      return;
+    }
+    
+    // An old URL must still pass validation: its scheme may have been disallowed since
+    let hyperlink = { type: 'NODE', value: entry.targetNodeId };
+    if (entry.targetType !== 'NODE') {
+      const parsed = parseUrl(entry.url);
+      if (!parsed.url) {
+        figma.notify(`This version can't be restored: ${parsed.error}`);
+        return;
+      }
+      hyperlink = { type: 'URL', value: parsed.url };
+    }
+    await updateHyperlink(textNode, hyperlink);
+    await saveLinkToStorage(nodeId, linkData.nodeName || 'Unnamed', textNode.id, getLinkGroupId(textNode), hyperlink, { action: HISTORY_REVERTED });
+    
+    // Commit undo checkpoint so the revert is a single undo step
+    figma.commitUndo();
+    
+    await sendLinkHistory(nodeId);
+    figma.notify(`Reverted hyperlink for ${linkData.nodeName || 'object'}`);
+  } catch (error) {
+    figma.notify(`Error reverting hyperlink: ${error.message}`);
+    console.error('Error in revertLink:', error);
+  }
+}
+
+// ============================================================================
+// LINK HEALTH CHECK
+// ============================================================================
+
+// Problems "Check links" can find and repair
+const ISSUE_ORPHAN_OVERLAY = 'orphan-overlay';   // overlay whose object was deleted
+const ISSUE_EMPTY_GROUP = 'empty-group';         // AnyLink group that lost its overlay
+const ISSUE_STALE_RECORD = 'stale-record';       // registry entry pointing at missing nodes
+const ISSUE_DUPLICATED_ID = 'duplicated-id';     // overlay carrying another object's ID, or a second overlay
+const ISSUE_PAGE_MISMATCH = 'page-mismatch';     // registry entry naming the wrong page
+
+// Find the object an overlay sits exactly on top of (overlay placement copies)
+function findNodeUnderOverlay(textNode) {
+  const parent = textNode.parent;
+  if (!parent || !('children' in parent)) {
+    return null;
+  }
+  return parent.children.find(sibling =>
+    sibling.id !== textNode.id && !isOverlayTextNode(sibling) && overlayMatchesGeometry(textNode, sibling)
+  ) || null;
+}
+
+// Walk every page and the registry, returning a list of broken AnyLink structures
+async function collectLinkIssues() {
+  const links = await loadLinksFromStorage();
+  const issues = [];
+  const overlaysByOwner = new Map();
+  
+  function addIssue(kind, node, fields) {
+    const page = node ? getPageFromNode(node) : null;
+    issues.push(Object.assign({
+      id: `${kind}:${node ? node.id : fields.ownerId}`,
+      kind: kind,
+      nodeId: node ? node.id : null,
+      ownerId: null,
+      extraOverlay: false,
+      name: node ? node.name : 'Unnamed',
+      pageName: page ? page.name : null
+    }, fields));
+  }
+  
+  for (const page of figma.root.children) {
+    if (page.type !== 'PAGE') continue;
+    try {
+      await page.loadAsync();
+    } catch (e) {
+      // Page might not be accessible, continue to next page
+      continue;
+    }
+    
+    for (const textNode of page.findAllWithCriteria({ types: ['TEXT'] })) {
+      // Overlays inside instances are copies of their main component's overlay
+      if (!isOverlayTextNode(textNode) || isInsideInstance(textNode)) continue;
+      
+      // The object this overlay belongs to, and the ID it was created for
+      const ownerId = findOriginalNodeId(textNode, links);
+      const owner = ownerId ? await figma.getNodeByIdAsync(ownerId) : null;
+      const recorded = getAnyLinkMarker(textNode) || getLinkPluginData(textNode);
+      const recordedId = recorded ? recorded.nodeId : null;
+      
+      if (!owner) {
+        // A copied overlay sitting on a copied object still names the original
+        const copyOwner = findNodeUnderOverlay(textNode);
+        if (copyOwner) {
+          addIssue(ISSUE_DUPLICATED_ID, textNode, {
+            ownerId: copyOwner.id,
+            detail: `Overlay on "${copyOwner.name}" carries the ID of another object`
+          });
+        } else {
+          addIssue(ISSUE_ORPHAN_OVERLAY, textNode, { detail: 'The linked object was deleted' });
+        }
+        continue;
+      }
+      
+      if (recordedId && recordedId !== owner.id) {
+        addIssue(ISSUE_DUPLICATED_ID, textNode, {
+          ownerId: owner.id,
+          detail: `Overlay on "${owner.name}" carries the ID of another object`
+        });
+        continue;
+      }
+      
+      // Region overlays are extra hotspots by design
+      if (isRegionOverlay(textNode)) continue;
+      if (!overlaysByOwner.has(owner.id)) {
+        overlaysByOwner.set(owner.id, []);
+      }
+      overlaysByOwner.get(owner.id).push(textNode);
+    }
+    
+    for (const group of page.findAllWithCriteria({ types: ['GROUP'] })) {
+      const marker = getAnyLinkMarker(group);
+      const isLinkGroup = marker
+        ? marker.role === MARKER_ROLE_GROUP
+        : group.name.startsWith(ANYLINK_NAME_PREFIX) && getLinkPluginData(group) !== null;
+      if (isLinkGroup && !group.children.some(child => isOverlayTextNode(child))) {
+        addIssue(ISSUE_EMPTY_GROUP, group, { detail: 'The group no longer contains a link overlay' });
+      }
+    }
+    
+    await yieldToEditor();
+  }
+  
+  // An object should have a single overlay: keep the registered one, flag the rest
+  for (const [ownerId, overlays] of overlaysByOwner) {
+    if (overlays.length < 2) continue;
+    const registeredId = links[ownerId] ? links[ownerId].textNodeId : null;
+    const keep = overlays.find(overlay => overlay.id === registeredId) || overlays[0];
+    for (const overlay of overlays) {
+      if (overlay === keep) continue;
+      addIssue(ISSUE_DUPLICATED_ID, overlay, {
+        ownerId: ownerId,
+        extraOverlay: true,
+        detail: 'The object has more than one overlay'
+      });
+    }
+  }
+  
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    if (!linkData) continue;
+    const node = await figma.getNodeByIdAsync(linkData.regionOf || nodeId);
+    const textNode = linkData.textNodeId ? await figma.getNodeByIdAsync(linkData.textNodeId) : null;
+    
+    if (!node || !textNode || !isHyperlinkCarrier(textNode)) {
+      // An overlay left behind by a deleted object is already reported as an orphan
+      if (!node && textNode) continue;
+      issues.push({
+        id: `${ISSUE_STALE_RECORD}:${nodeId}`,
+        kind: ISSUE_STALE_RECORD,
+        nodeId: node ? nodeId : null,
+        ownerId: nodeId,
+        extraOverlay: false,
+        name: linkData.nodeName || 'Unnamed',
+        pageName: linkData.pageName || null,
+        detail: node ? 'The link overlay no longer exists' : 'The linked object no longer exists'
+      });
+      continue;
+    }
+    
+    const page = getPageFromNode(node);
+    if (page && linkData.pageId !== page.id) {
+      addIssue(ISSUE_PAGE_MISMATCH, node, {
+        ownerId: nodeId,
+        detail: `Recorded on page "${linkData.pageName || 'unknown'}"`
+      });
+    }
+  }
+  
+  return issues;
+}
+
+// Run the health check and send the problems found to the UI
+async function checkLinks() {
+  const issues = await collectLinkIssues();
+  figma.ui.postMessage({ type: 'link-check-result', issues: issues });
+}
+
+// Move a group's children to its parent and remove the group
+function ungroupNode(group) {
+  const groupParent = group.parent;
+  if (!groupParent) {
+    return;
+  }
+  let index = groupParent.children.indexOf(group);
+  for (const child of group.children.slice()) {
+    groupParent.insertChild(index++, child);
+  }
+  // Figma removes a group once it is empty; remove it explicitly otherwise
+  if (!group.removed) {
+    group.remove();
+  }
+}
+
+// Remove registry entries matching a predicate on the record
+async function removeLinkRecords(predicate) {
+  const links = await loadLinksFromStorage();
+  let changed = false;
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    if (linkData && predicate(linkData, nodeId)) {
+      delete links[nodeId];
+      changed = true;
+    }
+  }
+  if (changed) {
+    await saveLinksToStorage(links);
+  }
+}
+
+// Repair one problem found by the health check
+// Nodes are looked up again, since an earlier repair may already have fixed the problem
+async function repairLinkIssue(issue) {
+  const node = issue.nodeId ? await figma.getNodeByIdAsync(issue.nodeId) : null;
+  
+  if (issue.kind === ISSUE_ORPHAN_OVERLAY) {
+    if (node) {
+      const group = getLinkGroup(node);
+      node.remove();
+      // Whatever else was grouped with the overlay stays in place
+      if (group && !group.removed) {
+        ungroupNode(group);
+      }
+    }
+    await removeLinkRecords(linkData => linkData.textNodeId === issue.nodeId);
+  } else if (issue.kind === ISSUE_EMPTY_GROUP) {
+    if (node && node.type === 'GROUP') {
+      ungroupNode(node);
+    }
+    await removeLinkRecords(linkData => linkData.groupId === issue.nodeId);
+  } else if (issue.kind === ISSUE_STALE_RECORD) {
+    // The object may still have an overlay the record lost track of
+    const owner = await figma.getNodeByIdAsync(issue.ownerId);
+    const textNode = owner ? await findExistingHyperlink(owner) : null;
+    const hyperlink = textNode ? getHyperlinkFromTextNode(textNode) : null;
+    if (hyperlink) {
+      await saveLinkToStorage(owner.id, owner.name || 'Unnamed', textNode.id, getLinkGroupId(textNode), hyperlink, { refresh: false });
+    } else {
+      await removeLinkRecords((linkData, nodeId) => nodeId === issue.ownerId);
+    }
+  } else if (issue.kind === ISSUE_DUPLICATED_ID) {
+    const owner = await figma.getNodeByIdAsync(issue.ownerId);
+    if (!node || node.type !== 'TEXT') {
+      return;
+    }
+    if (issue.extraOverlay || !owner) {
+      node.remove();
+      return;
+    }
+    // A copy: register it as a link of its own object
+    const hyperlink = getHyperlinkFromTextNode(node);
+    if (hyperlink) {
+      await saveLinkToStorage(owner.id, owner.name || 'Unnamed', node.id, getLinkGroupId(node), hyperlink, { refresh: false });
+    }
+  } else if (issue.kind === ISSUE_PAGE_MISMATCH) {
+    const links = await loadLinksFromStorage();
+    const linkData = links[issue.ownerId];
+    const page = node ? getPageFromNode(node) : null;
+    if (linkData && page) {
+      const record = Object.assign({}, linkData, { pageId: page.id, pageName: page.name });
+      links[issue.ownerId] = record;
+      await saveLinksToStorage(links);
+      await writeLinkRecordToNodes(issue.ownerId, record);
+    }
+  }
+}
+
+// Repair problems found by the health check as a single undo step, then check again
+async function repairLinkIssues(issues) {
+  let repaired = 0;
+  let failed = 0;
+  
+  for (const issue of issues) {
+    try {
+      await repairLinkIssue(issue);
+      repaired++;
+    } catch (error) {
+      failed++;
+      console.error(`Error repairing ${issue.kind} on ${issue.name}:`, error);
+    }
+  }
+  
+  // Commit undo checkpoint once, so the whole repair is a single undo step
+  figma.commitUndo();
+  await refreshLinksList();
+  await checkLinks();
+  
+  figma.notify(`Repaired ${repaired} problems${failed ? `, ${failed} failed` : ''}`);
+}
+
+// ============================================================================
+// LINK LINT
+// ============================================================================
+
+// Offline checks run over stored links and the overlays found in the document.
+// Each rule has a default severity; users can change it or turn the rule off.
+const LINT_SEVERITIES = ['error', 'warning', 'info', 'off'];
+const LINT_RULES = [
+  { id: 'insecure-http', label: 'Plain http:// link', severity: 'warning' },
+  { id: 'linked-twice', label: 'Object linked twice', severity: 'error' },
+  { id: 'tracking-params', label: 'utm_ tracking parameters', severity: 'warning' },
+  { id: 'dev-host', label: 'Localhost or staging host', severity: 'error' },
+  { id: 'malformed-url', label: 'Malformed host or URL', severity: 'error' },
+  { id: 'name-conflict', label: 'Same name, different URLs', severity: 'info' }
+];
+const LINT_RULES_STORAGE_KEY = 'anylink_lint_rules';
+
+// Hosts and subdomain labels that point at a development or staging environment
+const DEV_HOST_PATTERN = /^(localhost|127(\.\d{1,3}){3}|0\.0\.0\.0|\[::1\])$|\.(localhost|local|test)$/i;
+const STAGING_LABEL_PATTERN = /^(staging|stage|stg|dev|qa|preview|uat)(-|\d|$)/i;
+
+// Load the user's rule severities, falling back to the defaults
+async function loadLintSeverities() {
+  const severities = {};
+  let saved = null;
+  try {
+    saved = await figma.clientStorage.getAsync(LINT_RULES_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error loading lint settings:', error);
+  }
+  for (const rule of LINT_RULES) {
+    const severity = saved && saved[rule.id];
+    severities[rule.id] = LINT_SEVERITIES.includes(severity) ? severity : rule.severity;
+  }
+  return severities;
+}
+
+// Save the user's rule severities (unknown rules and severities are ignored)
+async function saveLintSeverities(severities) {
+  const current = await loadLintSeverities();
+  for (const rule of LINT_RULES) {
+    if (severities && LINT_SEVERITIES.includes(severities[rule.id])) {
+      current[rule.id] = severities[rule.id];
+    }
+  }
+  try {
+    await figma.clientStorage.setAsync(LINT_RULES_STORAGE_KEY, current);
+  } catch (error) {
+    console.error('Error saving lint settings:', error);
+  }
+}
+
+// Get the host of an http(s) URL, or null for other schemes
+function getUrlHost(url) {
+  const match = url.match(/^https?:\/\/(?:[^/?#@]*@)?(\[[^\]]*\]|[^/?#:]*)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Collect every link in the document: stored records plus overlays the registry
+// doesn't know about, and the overlays found for each object
+async function collectLintEntries() {
+  const links = await loadLinksFromStorage();
+  const entries = new Map();
+  const overlayCounts = new Map();
+  
+  for (const [nodeId, linkData] of Object.entries(links)) {
+    if (!linkData) continue;
+    entries.set(nodeId, {
+      nodeId: nodeId,
+      nodeName: linkData.nodeName || 'Unnamed',
+      pageName: linkData.pageName || null,
+      targetType: linkData.targetType || 'URL',
+      url: linkData.url || null,
+      isRegion: Boolean(linkData.regionOf),
+      isOverride: Boolean(linkData.componentId)
+    });
+  }
+  
+  for (const page of figma.root.children) {
+    if (page.type !== 'PAGE') continue;
+    try {
+      await page.loadAsync();
+    } catch (e) {
+      // Page might not be accessible, continue to next page
+      continue;
+    }
+    
+    for (const textNode of page.findAllWithCriteria({ types: ['TEXT'] })) {
+      if (!isOverlayTextNode(textNode) || isInsideInstance(textNode)) continue;
+      const ownerId = findOriginalNodeId(textNode, links);
+      const owner = ownerId ? await figma.getNodeByIdAsync(ownerId) : null;
+      const hyperlink = getHyperlinkFromTextNode(textNode);
+      if (!owner || !hyperlink || isRegionOverlay(textNode)) continue;
+      
+      overlayCounts.set(owner.id, (overlayCounts.get(owner.id) || 0) + 1);
+      if (!entries.has(owner.id)) {
+        const fields = getRecordFieldsFromHyperlink(hyperlink);
+        entries.set(owner.id, {
+          nodeId: owner.id,
+          nodeName: owner.name || 'Unnamed',
+          pageName: page.name,
+          targetType: fields.targetType,
+          url: fields.url,
+          isRegion: false,
+          isOverride: false
+        });
+      }
+    }
+    
+    await yieldToEditor();
+  }
+  
+  return { entries: Array.from(entries.values()), overlayCounts: overlayCounts };
+}
+
+// Run the lint rules over every link and send the findings to the UI
+async function lintLinks() {
+  const severities = await loadLintSeverities();
+  const { entries, overlayCounts } = await collectLintEntries();
+  const findings = [];
+  
+  function report(ruleId, entry, message) {
+    if (severities[ruleId] === 'off') return;
+    findings.push({
+      rule: ruleId,
+      severity: severities[ruleId],
+      nodeId: entry.nodeId,
+      nodeName: entry.nodeName,
+      pageName: entry.pageName,
+      url: entry.url,
+      message: message
+    });
+  }
+  
+  for (const entry of entries) {
+    const count = overlayCounts.get(entry.nodeId) || 0;
+    if (count > 1) {
+      report('linked-twice', entry, `Has ${count} link overlays`);
+    }
+    
+    // The remaining rules look at external URLs only
+    if (entry.targetType !== 'URL' || !entry.url) continue;
+    const url = entry.url;
+    
+    const parsed = parseUrl(url);
+    if (parsed.error) {
+      report('malformed-url', entry, parsed.error);
+    }
+    if (/^http:\/\//i.test(url)) {
+      report('insecure-http', entry, 'Uses http:// instead of https://');
+    }
+    if (/[?&]utm_[a-z]+=/i.test(url)) {
+      report('tracking-params', entry, 'Contains utm_ tracking parameters');
+    }
+    // Staging names are only looked for in subdomains ("staging.example.com", not "dev.to")
+    const host = getUrlHost(url);
+    const subdomains = host ? host.split('.').slice(0, -2) : [];
+    if (host && (DEV_HOST_PATTERN.test(host) || subdomains.some(label => STAGING_LABEL_PATTERN.test(label)))) {
+      report('dev-host', entry, `Points at a development host (${host})`);
+    }
+  }
+  
+  // Objects with the same name are usually the same thing and should share a URL
+  const urlsByName = new Map();
+  for (const entry of entries) {
+    // Regions of one object and instance overrides link to different places on purpose
+    if (entry.targetType !== 'URL' || !entry.url || entry.isRegion || entry.isOverride) continue;
+    if (!urlsByName.has(entry.nodeName)) {
+      urlsByName.set(entry.nodeName, []);
+    }
+    urlsByName.get(entry.nodeName).push(entry);
+  }
+  for (const [name, named] of urlsByName) {
+    const urls = new Set(named.map(entry => entry.url));
+    if (urls.size < 2) continue;
+    for (const entry of named) {
+      report('name-conflict', entry, `${urls.size} different URLs are used by objects named "${name}"`);
+    }
+  }
+  
+  findings.sort((a, b) => LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity));
+  
+  figma.ui.postMessage({
+    type: 'lint-report',
+    findings: findings,
+    rules: LINT_RULES.map(rule => ({ id: rule.id, label: rule.label, severity: severities[rule.id] }))
+  });
+}
+
+// ============================================================================
+// DEV MODE CODEGEN
+// ============================================================================
+
+// Codegen languages (see codegenLanguages in manifest.json)
+const CODEGEN_LANGUAGE_HTML = 'html';
+const CODEGEN_LANGUAGE_REACT = 'react';
+
+// Find the link of the inspected layer. Selecting the AnyLink group or overlay counts as
+// selecting its object; region overlays keep their own link.
+// Returns { node, hyperlink } or null when the layer isn't linked
+async function getInspectedLink(node) {
+  const links = await loadLinksFromStorage();
+  const nodeId = isRegionOverlay(node) ? node.id : findOriginalNodeId(node, links) || node.id;
+  const original = nodeId === node.id ? node : await figma.getNodeByIdAsync(nodeId);
+  if (!original) {
+    return null;
+  }
+  
+  const linkData = links[nodeId];
+  if (linkData) {
+    return { node: original, hyperlink: getHyperlinkFromRecord(linkData) };
+  }
+  // Instances inherit their main component's link without a record of their own
+  const textNode = await findExistingHyperlink(original);
+  const hyperlink = textNode ? getHyperlinkFromTextNode(textNode) : null;
+  return hyperlink ? { node: original, hyperlink: hyperlink } : null;
+}
+
+// Where a link goes in code: external URLs as they are, internal links to a frame as an
+// in-app route named after the frame
+async function getCodegenHref(hyperlink) {
+  if (hyperlink.type === 'URL') {
+    return { href: hyperlink.value, external: true, title: 'URL' };
+  }
+  const target = await describeLinkTarget(hyperlink.value);
+  const name = target ? target.name : 'missing frame';
+  return { href: `/${slugify(name)}`, external: false, title: `Route to "${name}"` };
+}
+
+// Escape a value for a double-quoted HTML attribute
+function escapeHtmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// JSX attribute for a string, as a plain literal unless it needs escaping
+function toJsxAttribute(name, value) {
+  return /["{}]/.test(value) ? `${name}={${JSON.stringify(value)}}` : `${name}="${value}"`;
+}
+
+// Wrap the object in an <a href>; external links open in a new tab
+function getHtmlLinkSnippet(link, nodeName) {
+  const attributes = link.external ? ' target="_blank" rel="noopener noreferrer"' : '';
+  const comment = nodeName.replace(/--/g, '- -');
+  return `<a href="${escapeHtmlAttribute(link.href)}"${attributes}>\n  <!-- ${comment} -->\n</a>`;
+}
+
+// Wrap the object in <a> for external links, or a router <Link> for internal ones
+function getReactLinkSnippet(link, nodeName) {
+  const comment = `{/* ${nodeName.replace(/\*\//g, '* /')} */}`;
+  if (!link.external) {
+    return `<Link ${toJsxAttribute('to', link.href)}>\n  ${comment}\n</Link>`;
+  }
+  return `<a ${toJsxAttribute('href', link.href)} target="_blank" rel="noopener noreferrer">\n  ${comment}\n</a>`;
+}
+
+// Answer Dev Mode's code panel with ready-to-use snippets for the inspected layer's link
+async function generateLinkCode({ node, language }) {
+  try {
+    const inspected = await getInspectedLink(node);
+    if (!inspected) {
+      return [{ title: 'AnyLink', code: 'This layer has no AnyLink link.', language: 'PLAINTEXT' }];
+    }
+    
+    const link = await getCodegenHref(inspected.hyperlink);
+    const nodeName = inspected.node.name || 'Unnamed';
+    const snippet = language === CODEGEN_LANGUAGE_REACT
+      ? { title: `Link: ${nodeName}`, code: getReactLinkSnippet(link, nodeName), language: 'JAVASCRIPT' }
+      : { title: `Link: ${nodeName}`, code: getHtmlLinkSnippet(link, nodeName), language: 'HTML' };
+    return [snippet, { title: link.title, code: link.href, language: 'PLAINTEXT' }];
+  } catch (error) {
+    console.error('Error in generateLinkCode:', error);
+    return [{ title: 'AnyLink', code: `Couldn't read the link: ${error.message}`, language: 'PLAINTEXT' }];
+  }
+}
+
+// ============================================================================
+// SELECTION & VALIDATION
+// ============================================================================
+
+// Validate current selection and update UI
+async function validateSelection() {
+  const selection = figma.currentPage.selection;
+  let links = await loadLinksFromStorage();
+  
+  const selectionInfo = await Promise.all(selection.map(async node => {
+    const existingLink = await findExistingHyperlink(node);
+    let existingHyperlink = null;
+    
+    if (existingLink) {
+      // Try to get the hyperlink target from the text node
+      existingHyperlink = getHyperlinkFromTextNode(existingLink);
+      
+      // If link found but not in storage, add it
+      const linkExists = !!links[node.id];
+      
+      if (existingHyperlink && !linkExists) {
+        const groupId = getLinkGroupId(existingLink);
+        await saveLinkToStorage(node.id, node.name || 'Unnamed', existingLink.id, groupId, existingHyperlink,
+          { action: HISTORY_DETECTED });
+        // Reload links after saving to get updated data
+        links = await loadLinksFromStorage();
+        // Explicitly refresh the links list to ensure UI updates
+        await refreshLinksList();
+      }
+    }
+    
+    // Check if this is a Group or Link Object - if so, find the original node
+    const originalNodeId = findOriginalNodeId(node, links);
+    const isGroupOrLinkObject = originalNodeId !== null;
+    
+    // If it's a Group or Link Object, get the target from the original node's link
+    let groupOrLinkObjectHyperlink = null;
+    if (isGroupOrLinkObject && originalNodeId && links[originalNodeId]) {
+      groupOrLinkObjectHyperlink = getHyperlinkFromRecord(links[originalNodeId]);
+    }
+    
+    const hyperlink = existingHyperlink || groupOrLinkObjectHyperlink;
+    
+    return {
+      id: node.id,
+      type: node.type,
+      hasHyperlink: existingLink !== null || isGroupOrLinkObject,
+      hyperlinkUrl: hyperlink && hyperlink.type === 'URL' ? hyperlink.value : null,
+      hyperlinkTarget: hyperlink && hyperlink.type === 'NODE' ? await describeLinkTarget(hyperlink.value) : null,
+      isGroupOrLinkObject: isGroupOrLinkObject,
+      originalNodeId: originalNodeId
+    };
+  }));
+  
+  figma.ui.postMessage({
+    type: 'selection-update',
+    selection: selectionInfo
+  });
+}
+
+// ============================================================================
+// EVENT HANDLERS & INITIALIZATION
+// ============================================================================
+
+// Load the user's placement preference and send settings to the UI
+async function loadSettings() {
+  try {
+    const placement = await figma.clientStorage.getAsync(PLACEMENT_STORAGE_KEY);
+    if (placement === PLACEMENT_GROUP || placement === PLACEMENT_OVERLAY) {
+      placementStrategy = placement;
+    }
+    const schemes = await figma.clientStorage.getAsync(ALLOWED_SCHEMES_STORAGE_KEY);
+    if (Array.isArray(schemes)) {
+      allowedSchemes = cleanSchemeList(schemes);
+    }
+    const rule = await figma.clientStorage.getAsync(DUPLICATE_RULE_STORAGE_KEY);
+    if (rule === DUPLICATE_KEEP || rule === DUPLICATE_CLEAR) {
+      duplicateRule = rule;
+    }
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+  postSettings();
+}
+
+// Send the current settings to the UI
+function postSettings() {
+  figma.ui.postMessage({
+    type: 'settings',
+    placement: placementStrategy,
+    allowedSchemes: allowedSchemes,
+    duplicateRule: duplicateRule,
+    editorType: figma.editorType
+  });
+}
+
+// Normalize a list of scheme names ("mailto:", "Figma://" -> "mailto", "figma");
+// http and https are always included
+function cleanSchemeList(schemes) {
+  const cleaned = schemes
+    .map(scheme => String(scheme).trim().toLowerCase().replace(/:(\/\/)?$/, ''))
+    .filter(scheme => /^[a-z][a-z0-9+.-]*$/.test(scheme));
+  return Array.from(new Set(HOST_SCHEMES.concat(cleaned)));
+}
+
+// Change which URL schemes are accepted for external links (a per-user preference)
+async function setAllowedSchemes(schemes) {
+  if (!Array.isArray(schemes)) {
+    return;
+  }
+  allowedSchemes = cleanSchemeList(schemes);
+  try {
+    await figma.clientStorage.setAsync(ALLOWED_SCHEMES_STORAGE_KEY, allowedSchemes);
+  } catch (error) {
+    console.error('Error saving settings:', error);
+  }
+  postSettings();
+}
+
+// Change how new links are attached to objects (a per-user preference)
+async function setPlacementStrategy(placement) {
+  if (placement !== PLACEMENT_GROUP && placement !== PLACEMENT_OVERLAY) {
+    return;
+  }
+  placementStrategy = placement;
+  try {
+    await figma.clientStorage.setAsync(PLACEMENT_STORAGE_KEY, placement);
+  } catch (error) {
+    console.error('Error saving settings:', error);
+  }
+}
+
+// Save whether duplicated links keep their target
+async function setDuplicateRule(rule) {
+  if (rule !== DUPLICATE_KEEP && rule !== DUPLICATE_CLEAR) {
+    return;
+  }
+  duplicateRule = rule;
+  try {
+    await figma.clientStorage.setAsync(DUPLICATE_RULE_STORAGE_KEY, rule);
+  } catch (error) {
+    console.error('Error saving settings:', error);
+  }
+}
+
+// Initialize: scan file and refresh UI
+async function initialize() {
+  // Initialize last current page ID
+  lastCurrentPageId = figma.currentPage ? figma.currentPage.id : null;
+  
+  await loadSettings();
+  await postLinkClipboard();
+  
+  // Move links recorded by earlier versions into the document
+  await migrateClientStorageLinks();
+  
+  // Scan the current page
+  await scanAllHyperlinks();
+  await refreshLinksList();
+  validateSelection();
+  
+  // Opened from "Add link to selection" or a linked object's "Edit link" button
+  if (figma.command === COMMAND_ADD_LINK || figma.command === COMMAND_EDIT_LINK) {
+    figma.ui.postMessage({ type: 'focus-link-input' });
+  }
+  
+  // Refit and copy detection only need the current page, so other pages stay unloaded
+  watchCurrentPage();
+}
+
+// Handle messages from the UI
+figma.ui.onmessage = async (msg) => {
+  if (msg.type === 'validate-object-selection') {
+    validateSelection();
+  } else if (msg.type === 'add-link') {
+    await addHyperlink(msg.url);
+  } else if (msg.type === 'add-node-link') {
+    await addNodeLink(msg.targetNodeId);
+  } else if (msg.type === 'import-preview') {
+    await previewImport(msg.rows || []);
+  } else if (msg.type === 'import-apply') {
+    await applyImport(msg.items || []);
+  } else if (msg.type === 'replace-preview') {
+    await previewReplace(msg.find, msg.replace, msg.useRegex || false, msg.caseSensitive || false);
+  } else if (msg.type === 'replace-apply') {
+    await applyReplace(msg.changes || []);
+  } else if (msg.type === 'template-preview') {
+    await previewUrlTemplate(msg.template || '');
+  } else if (msg.type === 'get-region-candidates') {
+    await sendRegionCandidates();
+  } else if (msg.type === 'create-region-links') {
+    await createRegionLinks(msg.nodeId, msg.regions || [], { removeRectangles: msg.removeRectangles === true });
+  } else if (msg.type === 'copy-link') {
+    // From a table row (nodeId) or the canvas selection
+    const node = msg.nodeId ? await figma.getNodeByIdAsync(msg.nodeId) : null;
+    figma.notify(node ? await copyLinkFromNode(node) : await copyLinkFromSelection());
+  } else if (msg.type === 'paste-link') {
+    figma.notify(await pasteLinkToSelection());
+  } else if (msg.type === 'reset-instance-link') {
+    await resetInstanceLink(msg.nodeId);
+  } else if (msg.type === 'refit-hotspots') {
+    await refitAllHotspots();
+  } else if (msg.type === 'set-placement') {
+    await setPlacementStrategy(msg.placement);
+  } else if (msg.type === 'set-duplicate-rule') {
+    await setDuplicateRule(msg.rule);
+  } else if (msg.type === 'set-allowed-schemes') {
+    await setAllowedSchemes(msg.schemes);
+  } else if (msg.type === 'get-link-targets') {
+    await sendLinkTargets();
+  } else if (msg.type === 'start-target-pick') {
+    startTargetPick();
+  } else if (msg.type === 'cancel-target-pick') {
+    cancelTargetPick();
+  } else if (msg.type === 'refresh-links') {
+    // Don't start a competing page scan while the whole document is being scanned
+    if (!documentScan) {
+      await scanAllHyperlinks();
+    }
+    // The refresh button rebuilds the list even when nothing seems to have changed
+    await refreshLinksList({ force: msg.force === true });
+  } else if (msg.type === 'scan-document') {
+    await scanEntireDocument();
+  } else if (msg.type === 'validate-url') {
+    validateUrlInput(msg.url, msg.field);
+  } else if (msg.type === 'lint-links') {
+    await lintLinks();
+  } else if (msg.type === 'set-lint-rules') {
+    await saveLintSeverities(msg.severities);
+    await lintLinks();
+  } else if (msg.type === 'check-links') {
+    await checkLinks();
+  } else if (msg.type === 'repair-link-issues') {
+    await repairLinkIssues(msg.issues || []);
+  } else if (msg.type === 'cancel-scan') {
+    cancelDocumentScan();
+  } else if (msg.type === 'select-node') {
+    await selectNodeById(msg.nodeId, msg.rightClick || false);
   } else if (msg.type === 'modify-link') {
     await modifyLink(msg.nodeId, msg.url);
   } else if (msg.type === 'delete-link') {
     await deleteLink(msg.nodeId);
+  } else if (msg.type === 'get-link-history') {
+    await sendLinkHistory(msg.nodeId);
+  } else if (msg.type === 'revert-link') {
+    await revertLink(msg.nodeId, msg.index);
   }
 };
 
 // Listen for selection changes
-figma.on('selectionchange', () => {
+figma.on('selectionchange', async () => {
+  // The code panel has no link manager to update
+  if (isCodegenMode) {
+    return;
+  }
+  // While picking an internal link target, the selection is the target, not the object to link
+  if (targetPick) {
+    try {
+      await handleTargetPick();
+    } catch (error) {
+      console.error('Error picking link target:', error);
+      targetPick = null;
+      figma.notify('Error picking link target: ' + error.message);
+      figma.ui.postMessage({ type: 'target-pick-failed', error: error.message });
+    }
+    return;
+  }
   validateSelection();
 });
 
 // Listen for page changes and scan new pages
 figma.on('currentpagechange', async () => {
+  if (isCodegenMode) {
+    return;
+  }
+  watchCurrentPage();
   const currentPage = figma.currentPage;
   if (currentPage && currentPage.id !== lastCurrentPageId) {
     lastCurrentPageId = currentPage.id;
@@ -1190,5 +4634,102 @@ figma.on('currentpagechange', async () => {
   }
 });
 
-// Check initial selection and initialize
-initialize();
+// ============================================================================
+// QUICK ACTIONS
+// ============================================================================
+
+// Maximum number of URL suggestions shown in the quick actions bar
+const MAX_URL_SUGGESTIONS = 20;
+// Recency half-life for ranking suggestions: a URL used a week ago counts half as much
+const SUGGESTION_HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// URLs already used in the registry, ranked by how often and how recently they were used
+async function getUrlSuggestions(query) {
+  const links = await loadLinksFromStorage();
+  const usage = new Map();
+  for (const linkData of Object.values(links)) {
+    if (!linkData || (linkData.targetType || 'URL') !== 'URL' || !linkData.url) continue;
+    const entry = usage.get(linkData.url) || { count: 0, lastUsed: 0 };
+    entry.count++;
+    entry.lastUsed = Math.max(entry.lastUsed, linkData.timestamp || 0);
+    usage.set(linkData.url, entry);
+  }
+  
+  const now = Date.now();
+  const score = ({ count, lastUsed }) => count + Math.pow(0.5, (now - lastUsed) / SUGGESTION_HALF_LIFE_MS);
+  const search = query.trim().toLowerCase();
+  return Array.from(usage.entries())
+    .filter(([url]) => url.toLowerCase().includes(search))
+    .sort((a, b) => score(b[1]) - score(a[1]))
+    .slice(0, MAX_URL_SUGGESTIONS)
+    .map(([url]) => url);
+}
+
+// Suggest URLs as the user types the "url" parameter in the quick actions bar
+async function handleParameterInput({ key, query, result }) {
+  if (key !== 'url') {
+    return;
+  }
+  if (figma.currentPage.selection.length === 0) {
+    result.setError('Select an object to link first');
+    return;
+  }
+  
+  const suggestions = await getUrlSuggestions(query);
+  // Typed URLs are accepted too; explain why one can't be used before it's submitted
+  if (suggestions.length === 0 && query.trim() && !isUrlTemplate(query)) {
+    const parsed = parseUrl(query);
+    if (parsed.error) {
+      result.setError(parsed.error);
+      return;
+    }
+  }
+  result.setSuggestions(suggestions);
+}
+
+// Link the selection to a URL entered in the quick actions bar, then close the plugin
+async function addLinkFromParameter(url) {
+  // Link creation reports to the UI, so it runs with a hidden window
+  showPluginUI(false);
+  await addHyperlink(url);
+  figma.closePlugin();
+}
+
+// Run a command that doesn't need the link manager, then close the plugin
+async function runHeadlessCommand(command) {
+  let summary = '';
+  try {
+    if (command === COMMAND_REMOVE_LINK) {
+      summary = await removeLinksFromSelection();
+    } else if (command === COMMAND_SCAN_DOCUMENT) {
+      summary = await scanEntireDocument({ notify: false });
+    } else if (command === COMMAND_COPY_LINK) {
+      summary = await copyLinkFromSelection();
+    } else if (command === COMMAND_PASTE_LINK) {
+      summary = await pasteLinkToSelection();
+    }
+  } catch (error) {
+    summary = `Error: ${error.message}`;
+    console.error(`Error in ${command}:`, error);
+  }
+  figma.closePlugin(summary || undefined);
+}
+
+// Check initial selection and initialize (or run a command without the link manager)
+if (isCodegenMode) {
+  figma.codegen.on('generate', generateLinkCode);
+} else if (isParameterCommand) {
+  figma.parameters.on('input', handleParameterInput);
+  figma.on('run', async ({ parameters }) => {
+    if (parameters && parameters.url) {
+      await addLinkFromParameter(parameters.url);
+    } else {
+      showPluginUI(true);
+      initialize();
+    }
+  });
+} else if (isHeadlessCommand) {
+  runHeadlessCommand(figma.command);
+} else {
+  initialize();
+}